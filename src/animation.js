@@ -0,0 +1,224 @@
+// Joints of the procedural rig that animations drive
+export const Joints = [
+    'torso', 'head',
+    'leftArm', 'rightArm',
+    'leftThigh', 'rightThigh',
+    'leftShin', 'rightShin'
+];
+
+export const UpperBodyJoints = ['torso', 'head', 'leftArm', 'rightArm'];
+
+// A pose is a set of joint rotations: { torso: { x, y, z }, head: { x, y, z }, ... }.
+// Joints a pose function doesn't touch stay at rest, so nothing leaks between states.
+export function createPose() {
+    const pose = {};
+    for (const joint of Joints) {
+        pose[joint] = { x: 0, y: 0, z: 0 };
+    }
+    return pose;
+}
+
+export function resetPose(pose) {
+    for (const joint of Joints) {
+        const rotation = pose[joint];
+        rotation.x = 0;
+        rotation.y = 0;
+        rotation.z = 0;
+    }
+    return pose;
+}
+
+export function copyPose(target, source) {
+    for (const joint of Joints) {
+        Object.assign(target[joint], source[joint]);
+    }
+    return target;
+}
+
+// Blend between two angles the short way round, so a finished roll
+// (a full turn) fades into the next state without spinning back
+function lerpAngle(from, to, t) {
+    const delta = Math.atan2(Math.sin(to - from), Math.cos(to - from));
+    return from + delta * t;
+}
+
+// Blend the joints of target towards source by weight
+export function blendPoses(target, source, weight, joints = Joints) {
+    for (const joint of joints) {
+        const to = source[joint];
+        if (!to) continue;
+        const rotation = target[joint];
+        rotation.x = lerpAngle(rotation.x, to.x ?? 0, weight);
+        rotation.y = lerpAngle(rotation.y, to.y ?? 0, weight);
+        rotation.z = lerpAngle(rotation.z, to.z ?? 0, weight);
+    }
+    return target;
+}
+
+// Add source's rotations, scaled by weight, on top of target
+export function addPoses(target, source, weight, joints = Joints) {
+    for (const joint of joints) {
+        const offset = source[joint];
+        if (!offset) continue;
+        const rotation = target[joint];
+        rotation.x += (offset.x ?? 0) * weight;
+        rotation.y += (offset.y ?? 0) * weight;
+        rotation.z += (offset.z ?? 0) * weight;
+    }
+    return target;
+}
+
+// A pose function from keyframes: { duration, loop, keyframes: [{ time, pose }] }.
+// Keyframe poses only list the joints and axes they move; the rest stay at 0.
+// The returned function samples the clip at params.clipTime.
+export function keyframeClip({ duration, loop = false, keyframes }) {
+    const sample = (pose, params) => {
+        let time = params.clipTime ?? 0;
+        time = loop ? ((time % duration) + duration) % duration : Math.min(time, duration);
+
+        // Keyframes either side of the sample time
+        let next = keyframes.findIndex(keyframe => keyframe.time > time);
+        if (next === -1) next = keyframes.length - 1;
+        const previous = Math.max(0, next - 1);
+        const from = keyframes[previous];
+        const to = keyframes[next];
+        const span = to.time - from.time;
+        const t = span > 0 ? Math.min(1, Math.max(0, (time - from.time) / span)) : 1;
+
+        for (const joint of Joints) {
+            const a = from.pose[joint];
+            const b = to.pose[joint];
+            if (!a && !b) continue;
+            for (const axis of ['x', 'y', 'z']) {
+                const start = a?.[axis] ?? 0;
+                const end = b?.[axis] ?? 0;
+                pose[joint][axis] = start + (end - start) * t;
+            }
+        }
+    };
+    sample.duration = duration;
+    return sample;
+}
+
+// Drives a rig from an animation graph:
+//   states:      { name: pose function (pose, params) }
+//   transitions: rules checked in order every update - { to, when(params), from?, fade? };
+//                the first rule that holds picks the state, fading over `fade` seconds
+//   layers:      { name: { joints, blend: 'additive' | 'override' } } played on top of
+//                the base state with playLayer(), e.g. an upper-body attack while running
+export class Animator {
+    constructor(rig, graph) {
+        this.rig = rig;
+        this.graph = graph;
+        this.state = graph.initial;
+        this.stateTime = 0;             // Seconds in the current state
+        this.defaultFade = graph.defaultFade ?? 0.15;
+
+        // Cross-fade from a snapshot of the pose at the moment of the transition
+        this.fadeFrom = createPose();
+        this.fadeDuration = 0;
+        this.fadeTime = 0;
+
+        this.pose = createPose();       // Final pose applied to the rig
+        this.statePose = createPose();
+        this.layerPose = createPose();
+
+        this.layers = {};
+        for (const [name, layer] of Object.entries(graph.layers ?? {})) {
+            this.layers[name] = {
+                joints: layer.joints ?? Joints,
+                blend: layer.blend ?? 'additive',
+                clip: null,
+                time: 0,
+                weight: 0,
+                fadeIn: 0,
+                fadeOut: 0
+            };
+        }
+    }
+
+    // Pick the state the transition rules call for
+    selectState(params) {
+        for (const rule of this.graph.transitions) {
+            if (rule.from && !rule.from.includes(this.state)) continue;
+            if (rule.when(params)) return rule;
+        }
+        return null;
+    }
+
+    setState(name, fade = this.defaultFade) {
+        if (name === this.state) return;
+        copyPose(this.fadeFrom, this.pose);
+        this.fadeDuration = fade;
+        this.fadeTime = 0;
+        this.state = name;
+        this.stateTime = 0;
+    }
+
+    // Play a clip on a layer. It fades in, plays once and fades back out.
+    playLayer(name, clip, { fadeIn = 0.05, fadeOut = 0.1 } = {}) {
+        const layer = this.layers[name];
+        layer.clip = clip;
+        layer.time = 0;
+        layer.fadeIn = fadeIn;
+        layer.fadeOut = fadeOut;
+    }
+
+    stopLayer(name) {
+        const layer = this.layers[name];
+        layer.clip = null;
+        layer.weight = 0;
+    }
+
+    update(deltaTime, params) {
+        const rule = this.selectState(params);
+        if (rule && rule.to !== this.state) {
+            this.setState(rule.to, rule.fade ?? this.defaultFade);
+        }
+        this.stateTime += deltaTime;
+
+        // Base state, cross-faded from the previous one
+        resetPose(this.statePose);
+        this.graph.states[this.state](this.statePose, { ...params, stateTime: this.stateTime });
+        this.fadeTime += deltaTime;
+        if (this.fadeTime < this.fadeDuration) {
+            copyPose(this.pose, this.fadeFrom);
+            blendPoses(this.pose, this.statePose, this.fadeTime / this.fadeDuration);
+        } else {
+            copyPose(this.pose, this.statePose);
+        }
+
+        // Layers on top
+        for (const layer of Object.values(this.layers)) {
+            this.updateLayer(layer, deltaTime, params);
+        }
+
+        this.rig.applyPose(this.pose);
+    }
+
+    updateLayer(layer, deltaTime, params) {
+        if (!layer.clip) return;
+
+        layer.time += deltaTime;
+        const duration = layer.clip.duration;
+        if (layer.time >= duration + layer.fadeOut) {
+            layer.clip = null;
+            layer.weight = 0;
+            return;
+        }
+
+        if (layer.time < duration) {
+            layer.weight = layer.fadeIn > 0 ? Math.min(1, layer.time / layer.fadeIn) : 1;
+        } else {
+            layer.weight = layer.fadeOut > 0 ? 1 - (layer.time - duration) / layer.fadeOut : 0;
+        }
+
+        resetPose(this.layerPose);
+        layer.clip(this.layerPose, { ...params, clipTime: layer.time });
+        if (layer.blend === 'override') {
+            blendPoses(this.pose, this.layerPose, layer.weight, layer.joints);
+        } else {
+            addPoses(this.pose, this.layerPose, layer.weight, layer.joints);
+        }
+    }
+}
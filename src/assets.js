@@ -0,0 +1,111 @@
+import * as THREE from 'three';
+import { ProceduralTextures } from './textures.js';
+import { ProceduralSounds } from './sounds.js';
+import { loadCharacterModel } from './characterModel.js';
+
+// Images in src/assets/textures/ are bundled into the build by Vite, so the game
+// never loads anything from the network. Name a file after the texture it provides
+// (grass.jpg, sand.png, bark.webp); missing or broken ones use ProceduralTextures,
+// which stay as the fallback when a file is removed or fails to decode.
+const BundledTextures = import.meta.glob('./assets/textures/*.{jpg,jpeg,png,webp}', {
+    eager: true,
+    query: '?url',
+    import: 'default'
+});
+
+// Sounds in src/assets/sounds/, named after the sound they provide (footstep.wav,
+// slide.ogg); missing or broken ones are synthesised by ProceduralSounds. The long
+// ocean and wind loops are left to the synthesiser rather than shipped as recordings.
+const BundledSounds = import.meta.glob('./assets/sounds/*.{ogg,mp3,wav}', {
+    eager: true,
+    query: '?url',
+    import: 'default'
+});
+
+// How many times each texture repeats across what it covers
+const TextureRepeats = {
+    grass: [20, 20],
+    sand: [40, 40],
+    bark: [1, 2]
+};
+
+function findBundledFile(files, name) {
+    for (const [path, url] of Object.entries(files)) {
+        if (path.slice(path.lastIndexOf('/') + 1).split('.')[0] === name) return url;
+    }
+    return null;
+}
+
+async function loadTexture(name, loader) {
+    const url = findBundledFile(BundledTextures, name);
+    let texture = null;
+    if (url) {
+        try {
+            texture = await loader.loadAsync(url);
+            texture.colorSpace = THREE.SRGBColorSpace;
+        } catch (error) {
+            console.warn(`Could not load the ${name} texture, using the built-in one:`, error);
+        }
+    }
+    texture ??= ProceduralTextures[name]();
+
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.fromArray(TextureRepeats[name]);
+    return texture;
+}
+
+// Sounds are decoded and synthesised in an OfflineAudioContext: AudioBuffers work in
+// any context, and the game's real AudioContext can only start from a user gesture,
+// long after loading is done
+let decodingContext = null;
+function getDecodingContext() {
+    decodingContext ??= new OfflineAudioContext(1, 1, 44100);
+    return decodingContext;
+}
+
+async function loadSound(name, loader) {
+    const url = findBundledFile(BundledSounds, name);
+    if (url) {
+        try {
+            const data = await loader.loadAsync(url);
+            return await getDecodingContext().decodeAudioData(data);
+        } catch (error) {
+            console.warn(`Could not load the ${name} sound, using the built-in one:`, error);
+        }
+    }
+    try {
+        return ProceduralSounds[name](getDecodingContext());
+    } catch (error) {
+        console.warn(`Could not create the ${name} sound, playing without it:`, error);
+        return null;
+    }
+}
+
+// Promises for each name's asset, resolved into { name: asset }
+async function loadAll(names, load) {
+    const loaded = await Promise.all(names.map(load));
+    const assets = {};
+    names.forEach((name, i) => {
+        assets[name] = loaded[i];
+    });
+    return assets;
+}
+
+// Load everything the game needs before it starts, reporting progress through manager.
+// Resolves to { textures: { grass, sand, bark }, sounds: { footstep, ocean, ... }, character }
+// where sounds are AudioBuffers and character is { model, options } or null when no
+// character model is provided.
+export async function loadAssets(manager = THREE.DefaultLoadingManager) {
+    const textureLoader = new THREE.TextureLoader(manager);
+    const soundLoader = new THREE.FileLoader(manager).setResponseType('arraybuffer');
+    const [character, textures, sounds] = await Promise.all([
+        loadCharacterModel(undefined, manager).catch((error) => {
+            console.warn('Could not load the character model, using the mannequin:', error);
+            return null;
+        }),
+        loadAll(Object.keys(ProceduralTextures), name => loadTexture(name, textureLoader)),
+        loadAll(Object.keys(ProceduralSounds), name => loadSound(name, soundLoader))
+    ]);
+    return { textures, sounds, character };
+}
@@ -0,0 +1,205 @@
+import * as THREE from 'three';
+
+// Background loops and how loud each gets: ocean louder near the waterline, wind
+// louder the higher up we are
+const Ambience = {
+    ocean: { volume: 0.6 },
+    wind: { volume: 0.35 }
+};
+
+// Random pitch variation so repeated sounds don't machine-gun, in cents
+function randomDetune(spread) {
+    return THREE.MathUtils.randFloatSpread(spread * 2);
+}
+
+// A few PositionalAudio voices attached to an object, so its sounds follow it
+// and can overlap
+export class SoundEmitter {
+    constructor(audio, object, { voices = 4, refDistance = 4 } = {}) {
+        this.audio = audio;
+        this.voices = [];
+        this.nextVoice = 0;
+        for (let i = 0; i < voices; i++) {
+            const voice = new THREE.PositionalAudio(audio.listener);
+            voice.setRefDistance(refDistance);
+            audio.route(voice, 'sfx');
+            object.add(voice);
+            this.voices.push(voice);
+        }
+    }
+
+    // Play a sound by name; cuts off the oldest voice when they're all busy
+    play(name, { volume = 1, detune = 0 } = {}) {
+        const buffer = this.audio.sounds[name];
+        if (!buffer || !this.audio.isRunning) return;
+
+        const voice = this.voices[this.nextVoice];
+        this.nextVoice = (this.nextVoice + 1) % this.voices.length;
+        if (voice.isPlaying) {
+            voice.stop();
+        }
+        voice.setBuffer(buffer);
+        voice.setVolume(volume);
+        voice.detune = detune;
+        voice.play();
+    }
+}
+
+// Sound for the game: a listener on the camera, volume buses and the player's sounds.
+// Sound effects go through the sfx bus, the ocean and wind through the ambience bus
+// and music through the music bus, and all three through master. Browsers only let
+// audio start from a click or key press, so nothing touches the AudioContext until
+// unlock() is called from one: the listener, buses and voices are made then.
+export class AudioSystem {
+    constructor(camera, { sounds = {} } = {}) {
+        this.camera = camera;
+        this.sounds = sounds;           // Name -> AudioBuffer, from loadAssets()
+        this.listener = null;
+        this.buses = null;
+        this.volumes = { master: 1, sfx: 1, ambience: 1, music: 1 }; // Applied on unlock
+        this.isUnlocked = false;
+        this.isPaused = false;
+
+        this.emitter = null;            // The player's sounds
+        this.ambience = {};             // Name -> looping THREE.Audio
+        this.simulation = null;
+        this.world = null;
+        this.character = null;
+    }
+
+    get context() {
+        return this.listener?.context ?? null;
+    }
+
+    get isRunning() {
+        return this.context?.state === 'running';
+    }
+
+    // Send a THREE.Audio's output to a bus instead of straight to the listener
+    route(sound, bus) {
+        sound.gain.disconnect();
+        sound.gain.connect(this.buses[bus]);
+    }
+
+    // Bus volume, 0-1
+    setVolume(bus, volume) {
+        this.volumes[bus] = volume;
+        this.buses?.[bus].gain.setTargetAtTime(volume, this.context.currentTime, 0.05);
+    }
+
+    createEmitter(object, options) {
+        return new SoundEmitter(this, object, options);
+    }
+
+    // Play the player's sounds from the character and the ambience around it, once
+    // audio is unlocked
+    connect(simulation) {
+        const { player, combat, world, character } = simulation;
+        this.simulation = simulation;
+        this.world = world;
+        this.character = character;
+
+        const play = (name, options) => this.emitter?.play(name, options);
+        player.addEventListener('footstep', (event) => {
+            const volume = event.state === 'sprinting' ? 0.6 : 0.4;
+            play('footstep', { volume, detune: randomDetune(200) });
+        });
+        player.addEventListener('land', (event) => {
+            if (event.impact < 0.02) return;
+            play('land', { volume: Math.min(1, event.impact / 0.15), detune: randomDetune(100) });
+        });
+        player.addEventListener('dash', () => play('dash', { detune: randomDetune(100) }));
+        player.addEventListener('slide', () => play('slide', { volume: 0.7, detune: randomDetune(100) }));
+
+        // Longer swings of heavier weapons sound deeper
+        combat.addEventListener('attack', (event) => {
+            const detune = THREE.MathUtils.clamp((0.2 - event.duration) * 3000, -700, 300);
+            play('whoosh', { volume: 0.8, detune: detune + randomDetune(100) });
+        });
+
+        if (this.isUnlocked) {
+            this.createSources();
+        }
+    }
+
+    // The listener and buses, in the AudioContext three.js creates on first use
+    createGraph() {
+        this.listener = new THREE.AudioListener();
+        this.camera.add(this.listener);
+
+        const context = this.listener.context;
+        this.buses = {
+            master: this.listener.gain,
+            sfx: context.createGain(),
+            ambience: context.createGain(),
+            music: context.createGain()
+        };
+        for (const bus of ['sfx', 'ambience', 'music']) {
+            this.buses[bus].connect(this.listener.getInput());
+        }
+        for (const [bus, volume] of Object.entries(this.volumes)) {
+            this.buses[bus].gain.value = volume;
+        }
+    }
+
+    // The player's voices and the ambience loops
+    createSources() {
+        this.emitter = this.createEmitter(this.character);
+        for (const [name, { volume }] of Object.entries(Ambience)) {
+            if (!this.sounds[name]) continue;
+            const loop = new THREE.Audio(this.listener);
+            loop.setBuffer(this.sounds[name]);
+            loop.setLoop(true);
+            loop.setVolume(volume);
+            this.route(loop, 'ambience');
+            this.ambience[name] = loop;
+            loop.play();
+        }
+    }
+
+    // Create or resume the audio context; call from a user gesture
+    unlock() {
+        if (this.isUnlocked) return;
+        this.isUnlocked = true;
+        this.createGraph();
+        if (this.simulation) {
+            this.createSources();
+        }
+        if (this.isPaused) {
+            this.context.suspend();
+        } else {
+            this.context.resume();
+        }
+    }
+
+    // Silence everything while the game is paused
+    setPaused(paused) {
+        this.isPaused = paused;
+        if (!this.isUnlocked) return;
+        if (paused) {
+            this.context.suspend();
+        } else {
+            this.context.resume();
+        }
+    }
+
+    // Once per frame: fade the ambience with where the player is
+    update() {
+        if (!this.world || !this.isRunning) return;
+        const position = this.character.position;
+        const ground = this.world.terrain.getHeight(position.x, position.z);
+        const aboveSea = Math.max(0, ground - this.world.seaLevel);
+
+        const { ocean, wind } = this.ambience;
+        const time = this.context.currentTime;
+        if (ocean) {
+            const volume = Ambience.ocean.volume * THREE.MathUtils.lerp(1, 0.25, Math.min(1, aboveSea / 10));
+            ocean.gain.gain.setTargetAtTime(volume, time, 0.5);
+        }
+        if (wind) {
+            const height = Math.max(0, position.y - this.world.seaLevel);
+            const volume = Ambience.wind.volume * (0.5 + THREE.MathUtils.smoothstep(height, 4, 15) * 0.5);
+            wind.gain.gain.setTargetAtTime(volume, time, 0.5);
+        }
+    }
+}
@@ -0,0 +1,50 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+
+// Manifest describing the player model, served from public/. Without one the
+// game keeps the primitive mannequin. See public/models/character.example.json.
+export const CharacterManifestUrl = 'models/character.json';
+
+// The manifest, or null when there isn't one. Throws when there is one we can't use.
+async function loadManifest(url, manager) {
+    manager.itemStart(url);
+    try {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            return null;
+        }
+        // A missing file is a 404, or the page itself from a dev server that answers
+        // every path with it
+        const type = response.headers.get('content-type') ?? '';
+        if (!response.ok || type.includes('text/html')) return null;
+
+        let manifest;
+        try {
+            manifest = await response.json();
+        } catch (error) {
+            throw new Error(`${url} is not valid JSON`);
+        }
+        if (typeof manifest?.model !== 'string' || manifest.model === '') {
+            throw new Error(`${url} does not name a model file`);
+        }
+        return manifest;
+    } finally {
+        manager.itemEnd(url);
+    }
+}
+
+// Load the player model named by the manifest, reporting both requests through
+// manager so a loading screen counts them.
+// Resolves to { model, options } for CharacterRig.useModel(), or null when no model is provided.
+// Rejects when the manifest or the model it names can't be used.
+export async function loadCharacterModel(manifestUrl = CharacterManifestUrl, manager = THREE.DefaultLoadingManager) {
+    const manifest = await loadManifest(manifestUrl, manager);
+    if (!manifest) return null;
+
+    // The model path is relative to the manifest
+    const modelUrl = new URL(manifest.model, new URL(manifestUrl, window.location.href)).href;
+    const gltf = await new GLTFLoader(manager).loadAsync(modelUrl);
+    return { model: gltf.scene, options: manifest };
+}
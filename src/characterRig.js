@@ -0,0 +1,341 @@
+import * as THREE from 'three';
+import { Joints } from './animation.js';
+
+const poseEuler = new THREE.Euler();
+const poseQuaternion = new THREE.Quaternion();
+
+// The player's character: a procedural mannequin, optionally replaced by a rigged
+// model, exposing the named joints the game animates
+export class CharacterRig {
+    constructor() {
+        // Joint references, filled in by createCharacter
+        this.leftArm = null;
+        this.rightArm = null;
+        this.torso = null;
+        this.head = null;
+        this.leftThigh = null;
+        this.rightThigh = null;
+        this.leftShin = null;
+        this.rightShin = null;
+        this.handSocket = null;
+        this.backSocket = null;
+
+        this.weapon = null;             // Weapon mesh in one of the sockets
+        this.primitiveParts = [];       // Mannequin meshes, removed when a model is loaded
+        this.jointRest = {};            // Joint -> { rest quaternion, axis signs } for model bones
+        this.root = this.createCharacter();
+    }
+
+    createCharacter() {
+        const character = new THREE.Group();
+        
+        // Define proportions based on total height of 2 units
+        const proportions = {
+            totalHeight: 2.0,
+            legHeight: 1.0,             // Half of total height
+            torsoHeight: 0.75,          // 3/8 of total height
+            headRadius: 0.15,           // Head size
+            shoulderWidth: 0.5,         // Shoulder width
+            hipWidth: 0.33,             // Hip width
+            thighLength: 0.55,          // Upper leg length
+            shinLength: 0.45,           // Lower leg length
+            kneeRadius: 0.08            // Size of knee joint
+        };
+
+        // Create torso group
+        const torsoGroup = new THREE.Group();
+        
+        // Upper torso (chest)
+        const upperTorso = new THREE.Mesh(
+            new THREE.BoxGeometry(
+                proportions.shoulderWidth,
+                proportions.torsoHeight * 0.55,
+                proportions.depth || 0.25
+            ),
+            new THREE.MeshStandardMaterial({ color: 0x2c3e50 })
+        );
+        upperTorso.position.y = proportions.torsoHeight * 0.225;
+        upperTorso.castShadow = true;  // Enable shadow casting
+        torsoGroup.add(upperTorso);
+
+        // Create weapon socket on the back
+        const backSocket = new THREE.Group();
+        backSocket.name = 'weaponSocketBack';
+        backSocket.position.set(0, proportions.torsoHeight * 0.3, -0.2); // Positioned on the upper back
+        backSocket.rotation.x = -Math.PI * 0.25; // Angle the weapon slightly
+        torsoGroup.add(backSocket);
+        this.backSocket = backSocket;
+
+        // Lower torso (abdomen)
+        const lowerTorso = new THREE.Mesh(
+            new THREE.BoxGeometry(
+                proportions.hipWidth,
+                proportions.torsoHeight * 0.45,
+                proportions.depth || 0.25
+            ),
+            new THREE.MeshStandardMaterial({ color: 0x2c3e50 })
+        );
+        lowerTorso.position.y = -proportions.torsoHeight * 0.225;
+        lowerTorso.castShadow = true;  // Enable shadow casting
+        torsoGroup.add(lowerTorso);
+
+        // Position torso
+        torsoGroup.position.y = proportions.legHeight;
+
+        // Create legs with knees
+        const createLeg = (isLeft) => {
+            const legGroup = new THREE.Group();
+            
+            // Upper leg (thigh)
+            const thighGroup = new THREE.Group();
+            const thigh = new THREE.Mesh(
+                new THREE.CylinderGeometry(0.1, 0.08, proportions.thighLength, 8),
+                new THREE.MeshStandardMaterial({ color: 0x2c3e50 })
+            );
+            thigh.position.y = -proportions.thighLength/2;
+            thigh.castShadow = true;  // Enable shadow casting
+            thighGroup.add(thigh);
+
+            // Knee joint
+            const knee = new THREE.Mesh(
+                new THREE.SphereGeometry(proportions.kneeRadius, 8, 8),
+                new THREE.MeshStandardMaterial({ color: 0x2c3e50 })
+            );
+            knee.position.y = -proportions.thighLength;
+            knee.castShadow = true;  // Enable shadow casting
+            thighGroup.add(knee);
+
+            // Lower leg (shin)
+            const shinGroup = new THREE.Group();
+            const shin = new THREE.Mesh(
+                new THREE.CylinderGeometry(0.08, 0.06, proportions.shinLength, 8),
+                new THREE.MeshStandardMaterial({ color: 0x2c3e50 })
+            );
+            shin.position.y = -proportions.shinLength/2;
+            shin.castShadow = true;  // Enable shadow casting
+            shinGroup.add(shin);
+
+            // Position shin group at knee
+            shinGroup.position.y = -proportions.thighLength;
+            thighGroup.add(shinGroup);
+
+            // Add references for animation
+            if (isLeft) {
+                this.leftThigh = thighGroup;
+                this.leftShin = shinGroup;
+                this.leftKnee = knee;
+            } else {
+                this.rightThigh = thighGroup;
+                this.rightShin = shinGroup;
+                this.rightKnee = knee;
+            }
+
+            // Position entire leg
+            legGroup.add(thighGroup);
+            legGroup.position.y = proportions.legHeight;
+            legGroup.position.x = isLeft ? proportions.hipWidth/3 : -proportions.hipWidth/3; // Left is +X, facing +Z
+            
+            return legGroup;
+        };
+
+        // Create and add legs
+        const leftLeg = createLeg(true);
+        const rightLeg = createLeg(false);
+        character.add(leftLeg);
+        character.add(rightLeg);
+        this.primitiveParts.push(leftLeg, rightLeg);
+
+        // Create arms. The character faces +Z, so its right side is -X.
+        const createArm = (isRight) => {
+            const arm = new THREE.Group();
+            
+            // Upper arm
+            const upperArm = new THREE.Mesh(
+                new THREE.CylinderGeometry(0.08, 0.07, proportions.torsoHeight * 0.6),
+                new THREE.MeshStandardMaterial({ color: 0x2c3e50 })
+            );
+            upperArm.position.y = -proportions.torsoHeight * 0.3;
+            upperArm.castShadow = true;
+            arm.add(upperArm);
+
+            // Forearm
+            const forearm = new THREE.Mesh(
+                new THREE.CylinderGeometry(0.07, 0.06, proportions.torsoHeight * 0.5),
+                new THREE.MeshStandardMaterial({ color: isRight ? 0xffdbac : 0x00FF00 }) // Sword arm skin colored, off arm green
+            );
+            forearm.position.y = -proportions.torsoHeight * 0.85;
+            forearm.castShadow = true;
+            arm.add(forearm);
+
+            // Add weapon socket ONLY to right arm
+            if (isRight) {
+                const handSocket = new THREE.Group();
+                handSocket.name = 'weaponSocketHand';
+                // Add visible debug sphere to socket
+                const socketDebug = new THREE.Mesh(
+                    new THREE.SphereGeometry(0.05, 8, 8),
+                    new THREE.MeshBasicMaterial({ color: 0xFF0000 })
+                );
+                handSocket.add(socketDebug);
+                // Position socket at the end of the right forearm
+                handSocket.position.set(0, -proportions.torsoHeight * 0.1, 0);
+                handSocket.rotation.set(1.5, 0, -0.5);
+                forearm.add(handSocket);  // Attach to forearm
+                this.handSocket = handSocket;
+            }
+
+            // Position the entire arm relative to the torso
+            arm.position.y = proportions.torsoHeight * 0.5;
+            arm.position.x = isRight ? -proportions.shoulderWidth/2 : proportions.shoulderWidth/2;
+            
+            return arm;
+        };
+
+        this.rightArm = createArm(true);
+        this.leftArm = createArm(false);
+        torsoGroup.add(this.rightArm);
+        torsoGroup.add(this.leftArm);
+
+        // Create head (existing code...)
+        const head = new THREE.Group();
+        const skull = new THREE.Mesh(
+            new THREE.SphereGeometry(proportions.headRadius, 24, 24),
+            new THREE.MeshStandardMaterial({ color: 0xffdbac })
+        );
+        skull.castShadow = true;  // Enable shadow casting
+        head.add(skull);
+        head.position.y = proportions.torsoHeight * 0.55 + 0.1;
+        torsoGroup.add(head);
+        this.head = head;  // Add head reference
+
+        // Add torso to character
+        character.add(torsoGroup);
+        this.torso = torsoGroup;
+        this.primitiveParts.push(torsoGroup);
+
+        return character;
+    }
+
+    // Put a weapon mesh in the hand or on the back.
+    // transform: { position, rotation, scale } relative to the socket
+    attachWeapon(mesh, toBack = false, transform = {}) {
+        const socket = toBack ? this.backSocket : this.handSocket;
+        if (!mesh || !socket) return;
+
+        socket.add(mesh); // Also removes it from the other socket
+        mesh.position.fromArray(transform.position ?? [0, 0, 0]);
+        mesh.rotation.fromArray(transform.rotation ?? [0, 0, 0]);
+        mesh.scale.setScalar(transform.scale ?? 1);
+        this.weapon = mesh;
+    }
+
+    detachWeapon() {
+        if (this.weapon?.parent) {
+            this.weapon.parent.remove(this.weapon);
+        }
+        this.weapon = null;
+    }
+
+    // The meshes of the body itself, mannequin or model, drawn or not: nothing in the
+    // weapon sockets, so not the weapon or the sockets' debug markers
+    getBodyMeshes() {
+        const sockets = [this.handSocket, this.backSocket];
+        const inSocket = (object) => {
+            for (let parent = object; parent; parent = parent.parent) {
+                if (sockets.includes(parent)) return true;
+            }
+            return false;
+        };
+        const meshes = [];
+        this.root.traverse((object) => {
+            if (object.isMesh && !inSocket(object)) {
+                meshes.push(object);
+            }
+        });
+        return meshes;
+    }
+
+    // Swap the primitive mannequin for a rigged model (e.g. a glTF scene).
+    // Pose rotations are applied on top of each bone's rest orientation, so the
+    // procedural animations drive the model unchanged. options:
+    //   bones:       { torso: 'Spine', head: 'Head', leftArm: 'LeftArm', ... } for every joint
+    //   handBone, backBone: bones the weapon sockets attach to
+    //   scale, rotationY: fit the model to the 2 unit tall, +Z facing character
+    //   jointOffsets: { joint: [x, y, z] } extra rest rotation, e.g. to lower T-pose arms
+    //   jointAxes:    { joint: [1, -1, -1] } per-axis signs for mirrored bones
+    //   handSocket, backSocket: { position, rotation, scale } socket placement on their bones
+    useModel(model, options) {
+        const { bones, handBone, backBone, scale = 1, rotationY = 0, jointOffsets = {}, jointAxes = {} } = options;
+
+        // Resolve every bone before touching the rig, so a bad mapping leaves the mannequin intact
+        const findBone = (name) => {
+            const bone = model.getObjectByName(name);
+            if (!bone) {
+                throw new Error(`Character model has no bone named "${name}"`);
+            }
+            return bone;
+        };
+        const jointBones = {};
+        for (const joint of Joints) {
+            if (!bones?.[joint]) {
+                throw new Error(`Character model has no bone mapped to the "${joint}" joint`);
+            }
+            jointBones[joint] = findBone(bones[joint]);
+        }
+        const handParent = findBone(handBone);
+        const backParent = findBone(backBone);
+
+        // Replace the mannequin
+        for (const part of this.primitiveParts) {
+            this.root.remove(part);
+        }
+        this.primitiveParts = [];
+        model.scale.setScalar(scale);
+        model.rotation.y = rotationY;
+        model.traverse((object) => {
+            if (object.isMesh) {
+                object.castShadow = true;
+            }
+        });
+        this.root.add(model);
+
+        // Point the joints at the bones, remembering their rest orientation
+        const offset = new THREE.Quaternion();
+        for (const joint of Joints) {
+            const bone = jointBones[joint];
+            const rest = bone.quaternion.clone();
+            if (jointOffsets[joint]) {
+                rest.multiply(offset.setFromEuler(new THREE.Euler(...jointOffsets[joint])));
+            }
+            this[joint] = bone;
+            this.jointRest[joint] = { rest, axes: jointAxes[joint] ?? [1, 1, 1] };
+        }
+
+        // Move the weapon sockets (and whatever they hold) onto the model's bones
+        const attachSocket = (socket, parent, placement = {}) => {
+            parent.add(socket);
+            if (placement.position) socket.position.fromArray(placement.position);
+            if (placement.rotation) socket.rotation.fromArray(placement.rotation);
+            if (placement.scale) socket.scale.setScalar(placement.scale);
+        };
+        attachSocket(this.handSocket, handParent, options.handSocket);
+        attachSocket(this.backSocket, backParent, options.backSocket);
+    }
+
+    // Set every animated joint's rotation from a pose (see animation.js)
+    applyPose(pose) {
+        for (const joint of Joints) {
+            const rotation = pose[joint];
+            const bone = this.jointRest[joint];
+            if (!bone) {
+                this[joint].rotation.set(rotation.x, rotation.y, rotation.z);
+                continue;
+            }
+
+            // Model bones: rotate relative to the rest orientation
+            const [signX, signY, signZ] = bone.axes;
+            poseEuler.set(rotation.x * signX, rotation.y * signY, rotation.z * signZ);
+            this[joint].quaternion.copy(bone.rest).multiply(poseQuaternion.setFromEuler(poseEuler));
+        }
+    }
+}
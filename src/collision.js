@@ -0,0 +1,335 @@
+import * as THREE from 'three';
+
+// Uniform grid over the XZ plane used as a broad phase for collider queries
+export class SpatialGrid {
+    constructor(cellSize = 4) {
+        this.cellSize = cellSize;
+        this.cells = new Map();     // "x,z" -> Set of colliders
+    }
+
+    key(cellX, cellZ) {
+        return `${cellX},${cellZ}`;
+    }
+
+    // Call back for every cell key overlapped by an XZ bounding box
+    forEachCell(minX, minZ, maxX, maxZ, callback) {
+        const startX = Math.floor(minX / this.cellSize);
+        const startZ = Math.floor(minZ / this.cellSize);
+        const endX = Math.floor(maxX / this.cellSize);
+        const endZ = Math.floor(maxZ / this.cellSize);
+        for (let x = startX; x <= endX; x++) {
+            for (let z = startZ; z <= endZ; z++) {
+                callback(this.key(x, z));
+            }
+        }
+    }
+
+    insert(collider) {
+        const { minX, minZ, maxX, maxZ } = collider.bounds;
+        this.forEachCell(minX, minZ, maxX, maxZ, (key) => {
+            let cell = this.cells.get(key);
+            if (!cell) {
+                cell = new Set();
+                this.cells.set(key, cell);
+            }
+            cell.add(collider);
+        });
+    }
+
+    remove(collider) {
+        const { minX, minZ, maxX, maxZ } = collider.bounds;
+        this.forEachCell(minX, minZ, maxX, maxZ, (key) => {
+            const cell = this.cells.get(key);
+            if (!cell) return;
+            cell.delete(collider);
+            if (cell.size === 0) {
+                this.cells.delete(key);
+            }
+        });
+    }
+
+    // All colliders in cells overlapping a circle, each returned once
+    query(x, z, radius, results = new Set()) {
+        this.forEachCell(x - radius, z - radius, x + radius, z + radius, (key) => {
+            const cell = this.cells.get(key);
+            if (!cell) return;
+            for (const collider of cell) {
+                results.add(collider);
+            }
+        });
+        return results;
+    }
+}
+
+// Static obstacles the player and enemies collide with.
+// Colliders are vertical cylinders (tree trunks, posts) or yaw-rotated boxes (rocks, crates).
+// Moving bodies are vertical capsules: a circle in XZ spanning [y, y + height].
+export class CollisionWorld {
+    constructor({ cellSize = 4 } = {}) {
+        this.grid = new SpatialGrid(cellSize);
+        this.colliders = new Set();
+    }
+
+    addCylinder(x, z, radius, bottom, top, userData = null) {
+        return this.add({
+            type: 'cylinder',
+            x, z, radius, bottom, top,
+            userData,
+            bounds: { minX: x - radius, minZ: z - radius, maxX: x + radius, maxZ: z + radius }
+        });
+    }
+
+    // Box centered at (x, z) with half extents, standing from bottom to top, rotated by yaw
+    addBox(x, z, halfWidth, halfDepth, bottom, top, yaw = 0, userData = null) {
+        const extent = Math.hypot(halfWidth, halfDepth);
+        return this.add({
+            type: 'box',
+            x, z, halfWidth, halfDepth, bottom, top,
+            cos: Math.cos(yaw),
+            sin: Math.sin(yaw),
+            userData,
+            bounds: { minX: x - extent, minZ: z - extent, maxX: x + extent, maxZ: z + extent }
+        });
+    }
+
+    add(collider) {
+        this.colliders.add(collider);
+        this.grid.insert(collider);
+        return collider;
+    }
+
+    remove(collider) {
+        if (!this.colliders.delete(collider)) return;
+        this.grid.remove(collider);
+    }
+
+    // Push a capsule out of every collider it overlaps.
+    // Moves position in place and returns the contact normals so callers can
+    // remove the velocity going into walls and slide along them.
+    resolveCapsule(position, radius, height, iterations = 3) {
+        const normals = [];
+        const nearby = this.grid.query(position.x, position.z, radius);
+
+        // A few passes settle capsules wedged between neighbouring colliders
+        for (let i = 0; i < iterations; i++) {
+            let resolved = true;
+            for (const collider of nearby) {
+                // Skip colliders the capsule is above or below
+                if (position.y >= collider.top || position.y + height <= collider.bottom) continue;
+
+                const normal = collider.type === 'cylinder'
+                    ? this.pushOutOfCylinder(position, radius, collider)
+                    : this.pushOutOfBox(position, radius, collider);
+
+                if (normal) {
+                    normals.push(normal);
+                    resolved = false;
+                }
+            }
+            if (resolved) break;
+        }
+
+        return normals;
+    }
+
+    // First collider hit by a ray, as { distance, collider, normal } or null.
+    // radius thickens the ray so a camera's near plane stays clear of surfaces.
+    raycast(origin, direction, maxDistance, radius = 0) {
+        const midX = origin.x + direction.x * maxDistance / 2;
+        const midZ = origin.z + direction.z * maxDistance / 2;
+        const nearby = this.grid.query(midX, midZ, maxDistance / 2 + radius);
+
+        let closest = null;
+        for (const collider of nearby) {
+            const distance = collider.type === 'cylinder'
+                ? this.raycastCylinder(origin, direction, radius, collider)
+                : this.raycastBox(origin, direction, radius, collider);
+            if (distance === null || distance > maxDistance) continue;
+
+            // Only count hits within the collider's height
+            const y = origin.y + direction.y * distance;
+            if (y < collider.bottom - radius || y > collider.top + radius) continue;
+
+            if (!closest || distance < closest.distance) {
+                closest = { distance, collider };
+            }
+        }
+
+        if (closest) {
+            closest.normal = this.getNormal(
+                closest.collider,
+                origin.x + direction.x * closest.distance,
+                origin.z + direction.z * closest.distance
+            );
+        }
+        return closest;
+    }
+
+    // Horizontal outward normal of a collider's side nearest to the point (x, z)
+    getNormal(collider, x, z, target = new THREE.Vector3()) {
+        const dx = x - collider.x;
+        const dz = z - collider.z;
+        if (collider.type === 'cylinder') {
+            return target.set(dx, 0, dz).normalize();
+        }
+
+        // The box face the point is furthest out past
+        const localX = dx * collider.cos - dz * collider.sin;
+        const localZ = dx * collider.sin + dz * collider.cos;
+        let normalX = 0;
+        let normalZ = 0;
+        if (Math.abs(localX) - collider.halfWidth > Math.abs(localZ) - collider.halfDepth) {
+            normalX = Math.sign(localX) || 1;
+        } else {
+            normalZ = Math.sign(localZ) || 1;
+        }
+        return target.set(
+            normalX * collider.cos + normalZ * collider.sin,
+            0,
+            -normalX * collider.sin + normalZ * collider.cos
+        );
+    }
+
+    // Highest collider top under a circle at (x, z) that is no higher than maxHeight,
+    // or -Infinity. Lets bodies stand on top of the obstacles they climb.
+    getTopBelow(x, z, radius, maxHeight) {
+        let highest = -Infinity;
+        for (const collider of this.grid.query(x, z, radius)) {
+            if (collider.top > maxHeight || collider.top <= highest) continue;
+            if (this.overlapsFootprint(collider, x, z, radius)) {
+                highest = collider.top;
+            }
+        }
+        return highest;
+    }
+
+    // Whether a circle at (x, z) overlaps a collider seen from above
+    overlapsFootprint(collider, x, z, radius) {
+        const dx = x - collider.x;
+        const dz = z - collider.z;
+        if (collider.type === 'cylinder') {
+            const reach = collider.radius + radius;
+            return dx * dx + dz * dz < reach * reach;
+        }
+
+        const localX = dx * collider.cos - dz * collider.sin;
+        const localZ = dx * collider.sin + dz * collider.cos;
+        const offsetX = Math.max(Math.abs(localX) - collider.halfWidth, 0);
+        const offsetZ = Math.max(Math.abs(localZ) - collider.halfDepth, 0);
+        return offsetX * offsetX + offsetZ * offsetZ < radius * radius;
+    }
+
+    // Distance along the ray to a cylinder's side, ignoring its height
+    raycastCylinder(origin, direction, radius, collider) {
+        const dx = origin.x - collider.x;
+        const dz = origin.z - collider.z;
+        const r = collider.radius + radius;
+        const c = dx * dx + dz * dz - r * r;
+        if (c <= 0) return 0; // Starts inside
+
+        const a = direction.x * direction.x + direction.z * direction.z;
+        const b = dx * direction.x + dz * direction.z;
+        if (a < 1e-12 || b >= 0) return null; // Vertical or pointing away
+
+        const discriminant = b * b - a * c;
+        if (discriminant < 0) return null;
+        return (-b - Math.sqrt(discriminant)) / a;
+    }
+
+    // Distance along the ray to a box's footprint (slab test in the box's local space)
+    raycastBox(origin, direction, radius, collider) {
+        const dx = origin.x - collider.x;
+        const dz = origin.z - collider.z;
+        const local = [
+            [dx * collider.cos - dz * collider.sin, direction.x * collider.cos - direction.z * collider.sin, collider.halfWidth + radius],
+            [dx * collider.sin + dz * collider.cos, direction.x * collider.sin + direction.z * collider.cos, collider.halfDepth + radius]
+        ];
+
+        let near = 0;
+        let far = Infinity;
+        for (const [start, step, half] of local) {
+            if (Math.abs(step) < 1e-12) {
+                if (Math.abs(start) > half) return null;
+                continue;
+            }
+            let t1 = (-half - start) / step;
+            let t2 = (half - start) / step;
+            if (t1 > t2) [t1, t2] = [t2, t1];
+            near = Math.max(near, t1);
+            far = Math.min(far, t2);
+            if (near > far) return null;
+        }
+        return near;
+    }
+
+    pushOutOfCylinder(position, radius, collider) {
+        let dx = position.x - collider.x;
+        let dz = position.z - collider.z;
+        const minDistance = radius + collider.radius;
+        const distanceSq = dx * dx + dz * dz;
+        if (distanceSq >= minDistance * minDistance) return null;
+
+        let distance = Math.sqrt(distanceSq);
+        if (distance < 1e-6) {
+            // Dead center - push out along an arbitrary axis
+            dx = 1;
+            dz = 0;
+            distance = 1;
+        }
+
+        const normal = new THREE.Vector3(dx / distance, 0, dz / distance);
+        position.x = collider.x + normal.x * minDistance;
+        position.z = collider.z + normal.z * minDistance;
+        return normal;
+    }
+
+    pushOutOfBox(position, radius, collider) {
+        // Move into the box's local space
+        const dx = position.x - collider.x;
+        const dz = position.z - collider.z;
+        const localX = dx * collider.cos - dz * collider.sin;
+        const localZ = dx * collider.sin + dz * collider.cos;
+
+        // Closest point on the box footprint
+        const closestX = THREE.MathUtils.clamp(localX, -collider.halfWidth, collider.halfWidth);
+        const closestZ = THREE.MathUtils.clamp(localZ, -collider.halfDepth, collider.halfDepth);
+        let offsetX = localX - closestX;
+        let offsetZ = localZ - closestZ;
+        const distanceSq = offsetX * offsetX + offsetZ * offsetZ;
+        if (distanceSq >= radius * radius) return null;
+
+        let pushX, pushZ;
+        if (distanceSq > 1e-12) {
+            // Center outside the box - push away from the closest point
+            const distance = Math.sqrt(distanceSq);
+            offsetX /= distance;
+            offsetZ /= distance;
+            pushX = closestX + offsetX * radius;
+            pushZ = closestZ + offsetZ * radius;
+        } else {
+            // Center inside the box - push out through the nearest face
+            const toX = collider.halfWidth - Math.abs(localX);
+            const toZ = collider.halfDepth - Math.abs(localZ);
+            if (toX < toZ) {
+                offsetX = Math.sign(localX) || 1;
+                offsetZ = 0;
+                pushX = offsetX * (collider.halfWidth + radius);
+                pushZ = localZ;
+            } else {
+                offsetX = 0;
+                offsetZ = Math.sign(localZ) || 1;
+                pushX = localX;
+                pushZ = offsetZ * (collider.halfDepth + radius);
+            }
+        }
+
+        // Back to world space
+        position.x = collider.x + pushX * collider.cos + pushZ * collider.sin;
+        position.z = collider.z - pushX * collider.sin + pushZ * collider.cos;
+        return new THREE.Vector3(
+            offsetX * collider.cos + offsetZ * collider.sin,
+            0,
+            -offsetX * collider.sin + offsetZ * collider.cos
+        );
+    }
+}
@@ -0,0 +1,342 @@
+import * as THREE from 'three';
+import { Easing } from './timers.js';
+import { keyframeClip } from './animation.js';
+import { WeaponRegistry, WeaponReachPose } from './weapons.js';
+
+// Weapons, combos and hit detection against registered targets.
+// Dispatches 'attack' as each swing starts, 'hit' when the blade connects with a
+// target and 'attackFailed' when there's not enough stamina to swing.
+export class Combat extends THREE.EventDispatcher {
+    constructor({ player, rig, gameClock }) {
+        super();
+        this.player = player;
+        this.rig = rig;
+        this.gameClock = gameClock;
+
+        // Weapons
+        this.weapons = Object.keys(WeaponRegistry);    // Weapons the player carries, in cycle order
+        this.weaponId = null;
+        this.weapon = null;             // Current weapon's definition from WeaponRegistry
+        this.weaponMesh = null;
+        this.weaponState = 'sheathed';  // 'sheathed', 'drawing', 'drawn' or 'sheathing'
+        this.wantsDrawn = true;         // The player's choice; sprinting still puts the weapon away
+        this.pendingWeapon = null;      // Weapon to switch to once the current one is sheathed
+        this.queuedAttack = null;       // Attack to make as soon as the weapon is drawn
+        this.transitionTasks = [];      // Timers for the draw or sheathe in progress
+        this.reachClip = null;          // Arm reaching to the back for the current weapon
+
+        // Combat
+        this.isAttacking = false;
+        this.comboCount = 0;
+        this.lastAttackTime = -Infinity;
+        this.comboResetTime = 0.8;      // Seconds before the combo starts over
+        this.attackClips = new Map();   // Attack definition -> upper-body clip
+        this.currentAnimation = null;   // Definition of the attack in progress
+        this.attackTimer = null;        // Ends the current attack
+        this.attackTween = null;        // Weapon swing
+        this.attackDirection = new THREE.Vector3();
+        this.lungeScale = 0.1;          // Attack momentum to horizontal speed per step
+
+        // Hit detection
+        this.attackTargets = [];        // Anything that can be hit: { object, radius, height, takeDamage(amount, hit) }
+        this.hitTargets = new Set();    // Targets already hit during the current swing
+        this.bladeSamples = 5;          // Points sampled along the blade for the swept hitbox
+
+        // Start with the katana in hand
+        this.setWeapon('katana', true);
+    }
+
+    // Put a weapon straight in hand or on the back, skipping the draw (e.g. loading a save)
+    setWeapon(id, drawn) {
+        if (!WeaponRegistry[id]) return;
+        for (const task of this.transitionTasks) {
+            task.cancel();
+        }
+        this.transitionTasks = [];
+        this.queuedAttack = null;
+
+        this.swapWeapon(id);
+        this.wantsDrawn = drawn;
+        if (drawn) {
+            this.rig.attachWeapon(this.weaponMesh, false, this.weapon.grip);
+            this.weaponState = 'drawn';
+        }
+    }
+
+    // Keep the weapon in hand while fighting, on the back while sprinting or switching
+    update() {
+        const sprinting = this.player.characterState === 'sprinting';
+        const shouldBeDrawn = this.queuedAttack !== null ||
+            (this.wantsDrawn && !sprinting && this.pendingWeapon === null);
+
+        if (shouldBeDrawn && this.weaponState === 'sheathed') {
+            this.draw();
+        } else if (!shouldBeDrawn && this.weaponState === 'drawn' && !this.isAttacking) {
+            this.sheathe();
+        }
+    }
+
+    // Switch to a weapon. A drawn weapon is sheathed first and the new one drawn after.
+    equip(id) {
+        if (!WeaponRegistry[id]) return;
+        if (id === this.weaponId && this.pendingWeapon === null) return;
+
+        if (this.weaponState === 'sheathed') {
+            this.swapWeapon(id);
+        } else {
+            this.pendingWeapon = id; // update() puts the current weapon away
+        }
+    }
+
+    // Equip the next (step 1) or previous (step -1) weapon
+    cycleWeapon(step = 1) {
+        const current = this.weapons.indexOf(this.pendingWeapon ?? this.weaponId);
+        const next = (current + step + this.weapons.length) % this.weapons.length;
+        this.equip(this.weapons[next]);
+    }
+
+    // Draw or sheathe on the player's request
+    toggleDrawn() {
+        this.wantsDrawn = this.weaponState === 'sheathed' || this.weaponState === 'sheathing';
+    }
+
+    // Replace the holstered weapon mesh
+    swapWeapon(id) {
+        this.cancelAttack(); // A swing still running would sweep the old weapon's hitbox
+        this.rig.detachWeapon();
+        this.weaponId = id;
+        this.weapon = WeaponRegistry[id];
+        this.weaponMesh = this.weapon.createMesh();
+        this.rig.attachWeapon(this.weaponMesh, true, this.weapon.holster);
+        this.weaponState = 'sheathed';
+        this.pendingWeapon = null;
+        this.comboCount = 0;
+
+        const drawTime = this.weapon.drawTime;
+        this.reachClip = keyframeClip({
+            duration: drawTime,
+            keyframes: [
+                { time: 0, pose: {} },
+                { time: drawTime / 2, pose: WeaponReachPose },
+                { time: drawTime, pose: {} }
+            ]
+        });
+    }
+
+    draw() {
+        if (this.weaponState !== 'sheathed') return;
+        this.weaponState = 'drawing';
+        this.playTransition(
+            () => this.rig.attachWeapon(this.weaponMesh, false, this.weapon.grip),
+            () => {
+                this.weaponState = 'drawn';
+                if (this.queuedAttack) {
+                    const type = this.queuedAttack;
+                    this.queuedAttack = null;
+                    this.performAttack(type);
+                }
+            }
+        );
+    }
+
+    sheathe() {
+        if (this.weaponState !== 'drawn' || this.isAttacking) return;
+        this.weaponState = 'sheathing';
+        this.playTransition(
+            () => this.rig.attachWeapon(this.weaponMesh, true, this.weapon.holster),
+            () => {
+                this.weaponState = 'sheathed';
+                if (this.pendingWeapon !== null) {
+                    this.swapWeapon(this.pendingWeapon);
+                }
+            }
+        );
+    }
+
+    // Reach over the shoulder; the weapon changes socket when the hand gets there
+    playTransition(onReach, onComplete) {
+        const drawTime = this.weapon.drawTime;
+        this.player.animator.playLayer('upperBody', this.reachClip, { fadeIn: 0, fadeOut: 0.05 });
+        this.transitionTasks = [
+            this.gameClock.after(drawTime / 2, onReach),
+            this.gameClock.after(drawTime, onComplete)
+        ];
+    }
+
+    performAttack(type) {
+        const player = this.player;
+        if (this.isAttacking || !this.weapon || player.isDead || player.isHanging || player.isMantling) return;
+
+        // Draw first and attack as soon as the weapon is in hand
+        if (this.weaponState !== 'drawn') {
+            this.queuedAttack = type;
+            this.wantsDrawn = true;
+            return;
+        }
+
+        if (!this.player.useStamina(this.weapon.stamina[type])) {
+            this.dispatchEvent({ type: 'attackFailed', attack: type, reason: 'stamina' });
+            return;
+        }
+
+        const now = this.gameClock.time;
+        if (now - this.lastAttackTime > this.comboResetTime) {
+            this.comboCount = 0;
+        }
+
+        this.isAttacking = true;
+        this.lastAttackTime = now;
+
+        // Lunge the way we're heading, or the way we face when standing still
+        this.player.intent.getDirection(this.player.character.rotation.y, this.attackDirection);
+
+        // Light attacks follow the weapon's combo chain; heavy depends on being airborne
+        const weapon = this.weapon;
+        let attack;
+        if (type === 'light') {
+            attack = weapon.combo[this.comboCount % weapon.combo.length];
+            this.comboCount = (this.comboCount + 1) % weapon.combo.length;
+        } else {
+            attack = this.player.isGrounded ? weapon.heavy : weapon.aerial;
+            this.comboCount = 0;
+        }
+
+        this.currentAnimation = weapon.attacks[attack];
+        if (this.currentAnimation.lift) {
+            this.player.velocity.y += this.currentAnimation.lift;
+        }
+        this.player.momentum.addScaledVector(this.attackDirection, this.currentAnimation.momentum * this.lungeScale);
+        this.animateAttack(attack);
+
+        // Swing the upper body over whatever the legs are doing; it blends back out on its own
+        this.player.animator.playLayer('upperBody', this.getAttackClip(this.currentAnimation), { fadeIn: 0.03, fadeOut: 0.1 });
+
+        this.attackTimer = this.gameClock.after(this.currentAnimation.duration, () => {
+            this.isAttacking = false;
+        });
+    }
+
+    // Stop the swing in progress, e.g. when the weapon is replaced under it
+    cancelAttack() {
+        this.attackTween?.cancel();
+        this.attackTimer?.cancel();
+        this.attackTween = null;
+        this.attackTimer = null;
+        this.isAttacking = false;
+        this.currentAnimation = null;
+        this.hitTargets.clear();
+    }
+
+    // Upper-body clip from an attack's start and end poses
+    getAttackClip(animation) {
+        let clip = this.attackClips.get(animation);
+        if (!clip) {
+            clip = keyframeClip({
+                duration: animation.duration,
+                keyframes: [
+                    { time: 0, pose: animation.start },
+                    { time: animation.duration, pose: animation.end }
+                ]
+            });
+            this.attackClips.set(animation, clip);
+        }
+        return clip;
+    }
+
+    animateAttack(attackType) {
+        const mesh = this.weaponMesh;
+        const originalRotation = new THREE.Euler(...this.weapon.ready);
+        const targetRotation = new THREE.Euler(...this.currentAnimation.swing);
+        const gripRotation = this.weapon.grip.rotation;
+        const duration = this.currentAnimation.duration;
+        const damage = this.currentAnimation.damage;
+
+        // Start a fresh swing - every target can be hit once
+        this.hitTargets.clear();
+        this.dispatchEvent({ type: 'attack', attack: attackType, weapon: this.weaponId, duration });
+        let previousBlade = this.getBladeSegment();
+
+        this.attackTween = this.gameClock.tween(duration, (easedProgress) => {
+            mesh.rotation.x = originalRotation.x + (targetRotation.x - originalRotation.x) * easedProgress;
+            mesh.rotation.y = originalRotation.y + (targetRotation.y - originalRotation.y) * easedProgress;
+            mesh.rotation.z = originalRotation.z + (targetRotation.z - originalRotation.z) * easedProgress;
+
+            // Sweep the blade from its last position to the current one
+            const currentBlade = this.getBladeSegment();
+            this.checkAttackHits(previousBlade, currentBlade, attackType, damage);
+            previousBlade = currentBlade;
+        }, {
+            easing: Easing.easeOutCubic,
+            onComplete: () => mesh.rotation.fromArray(gripRotation)
+        });
+    }
+
+    // Get the weapon's hitbox as a world-space segment from base to tip
+    getBladeSegment() {
+        const { base, tip } = this.weapon.hitbox;
+        this.weaponMesh.updateWorldMatrix(true, false);
+        return {
+            base: this.weaponMesh.localToWorld(new THREE.Vector3(0, base, 0)),
+            tip: this.weaponMesh.localToWorld(new THREE.Vector3(0, tip, 0))
+        };
+    }
+
+    // Test the area swept by the blade between two frames against all targets
+    checkAttackHits(previousBlade, currentBlade, attackType, damage) {
+        const point = new THREE.Vector3();
+        const previousPoint = new THREE.Vector3();
+        const currentPoint = new THREE.Vector3();
+
+        for (const target of this.attackTargets) {
+            if (this.hitTargets.has(target)) continue;
+
+            let hit = false;
+            // Sample along the blade, and between frames so fast swings don't tunnel through
+            for (let i = 0; i <= this.bladeSamples && !hit; i++) {
+                const along = i / this.bladeSamples;
+                previousPoint.lerpVectors(previousBlade.base, previousBlade.tip, along);
+                currentPoint.lerpVectors(currentBlade.base, currentBlade.tip, along);
+
+                for (let j = 0; j <= this.bladeSamples && !hit; j++) {
+                    point.lerpVectors(previousPoint, currentPoint, j / this.bladeSamples);
+                    hit = this.isPointInTarget(point, target);
+                }
+            }
+
+            if (hit) {
+                this.hitTargets.add(target);
+                const direction = new THREE.Vector3()
+                    .subVectors(target.object.position, this.player.character.position)
+                    .setY(0)
+                    .normalize();
+                target.takeDamage(damage, { attack: attackType, source: this, direction });
+                this.dispatchEvent({ type: 'hit', target, attack: attackType, point: point.clone(), direction });
+            }
+        }
+    }
+
+    // Targets are vertical capsules standing on their object's position
+    isPointInTarget(point, target) {
+        const origin = target.object.position;
+        const radius = target.radius + this.weapon.hitbox.radius;
+        const y = THREE.MathUtils.clamp(point.y, origin.y, origin.y + target.height);
+        const dx = point.x - origin.x;
+        const dy = point.y - y;
+        const dz = point.z - origin.z;
+        return dx * dx + dy * dy + dz * dz <= radius * radius;
+    }
+
+    addAttackTarget(target) {
+        if (!this.attackTargets.includes(target)) {
+            this.attackTargets.push(target);
+        }
+    }
+
+    removeAttackTarget(target) {
+        const index = this.attackTargets.indexOf(target);
+        if (index !== -1) {
+            this.attackTargets.splice(index, 1);
+        }
+        this.hitTargets.delete(target);
+    }
+}
@@ -0,0 +1,63 @@
+import { ActionLabels, describeBinding, isGamepadBinding } from './input.js';
+import { Menu } from './menu.js';
+
+// Overlay listing every action's bindings, with buttons to rebind them.
+// Dispatches 'open' and 'close' events.
+export class ControlsMenu extends Menu {
+    constructor(container = document.body, input) {
+        super(container, 'Controls');
+        this.input = input;
+        const panel = this.element;
+
+        this.table = document.createElement('table');
+        this.table.style.borderSpacing = '10px 4px';
+        panel.appendChild(this.table);
+
+        this.hint = document.createElement('div');
+        this.hint.style.marginTop = '10px';
+        panel.appendChild(this.hint);
+
+        const footer = document.createElement('div');
+        footer.style.marginTop = '10px';
+        footer.appendChild(this.createButton('Reset to defaults', () => this.input.resetBindings()));
+        footer.appendChild(this.createButton('Close', () => this.close()));
+        panel.appendChild(footer);
+
+        this.input.addEventListener('change', () => this.refresh());
+        this.input.addEventListener('press', (event) => {
+            if (event.action === 'controls') this.toggle();
+        });
+    }
+
+    // Rebuild the rows from the current bindings
+    refresh() {
+        this.table.replaceChildren();
+        this.hint.textContent = 'Esc cancels a rebind';
+
+        for (const action in this.input.bindings) {
+            const row = this.table.insertRow();
+            row.insertCell().textContent = ActionLabels[action] ?? action;
+
+            const codes = this.input.bindings[action];
+            row.insertCell().textContent = codes.filter(code => !isGamepadBinding(code)).map(describeBinding).join(', ');
+            row.insertCell().textContent = codes.filter(isGamepadBinding).map(describeBinding).join(', ');
+
+            row.insertCell().appendChild(this.createButton('Rebind', () => this.rebind(action)));
+        }
+    }
+
+    rebind(action) {
+        this.hint.textContent = `Press a key, mouse button or gamepad input for "${ActionLabels[action] ?? action}"...`;
+        this.input.captureNextBinding((code) => {
+            if (code) {
+                this.input.setBinding(action, code);
+            } else {
+                this.refresh();
+            }
+        });
+    }
+
+    onOpen() {
+        this.refresh();
+    }
+}
@@ -0,0 +1,182 @@
+import * as THREE from 'three';
+
+// Sky and light colors through the day. time is the fraction of the day from
+// midnight (0.25 sunrise, 0.5 noon, 0.75 sunset). Between sunset and sunrise the
+// directional light is the moon.
+const Keyframes = [
+    { time: 0.0, sky: 0x0B1026, horizon: 0x1B2440, light: 0x8FA8D8, lightIntensity: 0.25, ambient: 0.15 },
+    { time: 0.22, sky: 0x1B2348, horizon: 0x4A4F7A, light: 0x8FA8D8, lightIntensity: 0.1, ambient: 0.2 },
+    { time: 0.27, sky: 0x4A6FA5, horizon: 0xF4A46A, light: 0xFFB070, lightIntensity: 0.6, ambient: 0.35 },
+    { time: 0.35, sky: 0x4C8FD6, horizon: 0xAED8F0, light: 0xFFF1D6, lightIntensity: 1.0, ambient: 0.55 },
+    { time: 0.5, sky: 0x3A7BD5, horizon: 0x87CEEB, light: 0xFFFFFF, lightIntensity: 1.0, ambient: 0.6 },
+    { time: 0.65, sky: 0x4C8FD6, horizon: 0xAED8F0, light: 0xFFF1D6, lightIntensity: 1.0, ambient: 0.55 },
+    { time: 0.73, sky: 0x4A5F95, horizon: 0xF08A5A, light: 0xFF9050, lightIntensity: 0.6, ambient: 0.35 },
+    { time: 0.78, sky: 0x1B2348, horizon: 0x4A3F6A, light: 0x8FA8D8, lightIntensity: 0.1, ambient: 0.2 },
+    { time: 1.0, sky: 0x0B1026, horizon: 0x1B2440, light: 0x8FA8D8, lightIntensity: 0.25, ambient: 0.15 }
+].map(keyframe => ({
+    ...keyframe,
+    sky: new THREE.Color(keyframe.sky),
+    horizon: new THREE.Color(keyframe.horizon),
+    light: new THREE.Color(keyframe.light)
+}));
+
+const SkyVertexShader = `
+    varying vec3 vDirection;
+
+    void main() {
+        vDirection = position;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const SkyFragmentShader = `
+    uniform vec3 skyColor;
+    uniform vec3 horizonColor;
+    uniform vec3 sunColor;
+    uniform vec3 sunDirection;
+    uniform float daylight;
+    varying vec3 vDirection;
+
+    void main() {
+        vec3 direction = normalize(vDirection);
+
+        // Gradient from the horizon up, and a darker band below it
+        float height = direction.y;
+        vec3 color = height > 0.0
+            ? mix(horizonColor, skyColor, pow(height, 0.5))
+            : horizonColor * (1.0 - min(1.0, -height * 4.0) * 0.3);
+
+        // Sun disc with a glow by day, a paler moon opposite it by night
+        float sun = max(dot(direction, sunDirection), 0.0);
+        color += sunColor * (pow(sun, 800.0) * 2.0 + pow(sun, 12.0) * 0.25) * daylight;
+        float moon = max(dot(direction, -sunDirection), 0.0);
+        color += vec3(0.8, 0.85, 1.0) * pow(moon, 2000.0) * (1.0 - daylight);
+
+        gl_FragColor = vec4(color, 1.0);
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }
+`;
+
+// Time of day: moves the sun (or moon) and blends the light, ambient, sky dome
+// and fog colors. Time advances with update(), so it stops when the game pauses.
+// Dispatches 'nightfall' at sunset and 'daybreak' at sunrise.
+export class DayNightCycle extends THREE.EventDispatcher {
+    constructor(scene, { sunLight, ambientLight, dayLength = 600, startTime = 0.35 } = {}) {
+        super();
+        this.scene = scene;
+        this.sunLight = sunLight;
+        this.ambientLight = ambientLight;
+        this.dayLength = dayLength;     // Real seconds for a full day
+        this.timeOfDay = startTime;     // Fraction of the day since midnight
+        this.day = 0;                   // Whole days passed
+        this.sunDirection = new THREE.Vector3();
+        this.lightDistance = 100;       // From the shadow camera's focus to the light
+        this.shadowSnap = 0.5;          // Move the shadow camera in steps to stop shadows shimmering
+
+        this.skyColor = new THREE.Color();
+        this.horizonColor = new THREE.Color();
+
+        // Keep the light's target in the scene so its matrix follows the focus
+        scene.add(sunLight.target);
+
+        // Sky dome, drawn behind everything and centered on the camera
+        this.sky = new THREE.Mesh(
+            new THREE.SphereGeometry(450, 32, 16),
+            new THREE.ShaderMaterial({
+                uniforms: {
+                    skyColor: { value: this.skyColor },
+                    horizonColor: { value: this.horizonColor },
+                    sunColor: { value: new THREE.Color() },
+                    sunDirection: { value: this.sunDirection },
+                    daylight: { value: 1 }
+                },
+                vertexShader: SkyVertexShader,
+                fragmentShader: SkyFragmentShader,
+                side: THREE.BackSide,
+                depthWrite: false,
+                fog: false
+            })
+        );
+        this.sky.renderOrder = -1;
+        this.sky.frustumCulled = false;
+        scene.add(this.sky);
+
+        // Distance fog in the horizon color; World sets its range from the draw distance
+        this.fog = new THREE.Fog(this.horizonColor, 60, 160);
+        scene.fog = this.fog;
+
+        this.applyTime();
+    }
+
+    // Hours since midnight, 0-24
+    get hours() {
+        return this.timeOfDay * 24;
+    }
+
+    setHours(hours) {
+        this.timeOfDay = (((hours / 24) % 1) + 1) % 1;
+        this.applyTime();
+    }
+
+    // Between sunset and sunrise
+    get isNight() {
+        return this.timeOfDay < 0.25 || this.timeOfDay >= 0.75;
+    }
+
+    update(deltaTime) {
+        const wasNight = this.isNight;
+        this.timeOfDay += deltaTime / this.dayLength;
+        if (this.timeOfDay >= 1) {
+            this.timeOfDay -= 1;
+            this.day++;
+        }
+        this.applyTime();
+
+        if (this.isNight !== wasNight) {
+            this.dispatchEvent({ type: this.isNight ? 'nightfall' : 'daybreak' });
+        }
+    }
+
+    // Sun position and colors for the current time
+    applyTime() {
+        // The sun rises in the east (+X), peaks at noon and sets in the west
+        const angle = (this.timeOfDay - 0.25) * Math.PI * 2;
+        this.sunDirection.set(Math.cos(angle), Math.sin(angle), 0.4).normalize();
+
+        // Blend between the keyframes either side of now
+        const next = Keyframes.findIndex(keyframe => keyframe.time > this.timeOfDay);
+        const to = Keyframes[next];
+        const from = Keyframes[next - 1];
+        const t = (this.timeOfDay - from.time) / (to.time - from.time);
+
+        this.skyColor.lerpColors(from.sky, to.sky, t);
+        this.horizonColor.lerpColors(from.horizon, to.horizon, t);
+        this.fog.color.copy(this.horizonColor);
+        this.sunLight.color.lerpColors(from.light, to.light, t);
+        this.sunLight.intensity = THREE.MathUtils.lerp(from.lightIntensity, to.lightIntensity, t);
+        this.ambientLight.intensity = THREE.MathUtils.lerp(from.ambient, to.ambient, t);
+
+        const uniforms = this.sky.material.uniforms;
+        uniforms.sunColor.value.copy(this.sunLight.color);
+        uniforms.daylight.value = THREE.MathUtils.smoothstep(this.sunDirection.y, -0.1, 0.1);
+    }
+
+    // Center the sky on the camera and the shadow camera on focus (the player)
+    updateView(camera, focus) {
+        this.sky.position.copy(camera.position);
+
+        const snap = this.shadowSnap;
+        const target = this.sunLight.target.position;
+        target.set(
+            Math.round(focus.x / snap) * snap,
+            Math.round(focus.y / snap) * snap,
+            Math.round(focus.z / snap) * snap
+        );
+        this.sunLight.target.updateMatrixWorld();
+
+        // Light from the sun by day and the moon by night
+        const lightDirection = this.sunDirection.y >= 0 ? 1 : -1;
+        this.sunLight.position.copy(target).addScaledVector(this.sunDirection, this.lightDistance * lightDirection);
+    }
+}
@@ -0,0 +1,50 @@
+// Adjusts the render scale from measured frame times to hold a target frame rate.
+// Drops resolution quickly when frames run long and raises it again slowly, so it
+// doesn't flicker between two scales.
+export class DynamicResolution {
+    constructor({ targetFps = 60, minScale = 0.5, maxScale = 1 } = {}) {
+        this.targetFps = targetFps;
+        this.minScale = minScale;
+        this.maxScale = maxScale;
+        this.scale = maxScale;
+
+        this.step = 0.05;               // Scale change per adjustment
+        this.smoothing = 0.1;           // Weight of each new frame in the average
+        this.downThreshold = 1.15;      // Scale down when frames take this much longer than the target
+        this.upThreshold = 1.02;        // Scale up when frames are back within this of the target
+        this.downDelay = 0.5;           // Seconds between adjustments down
+        this.upDelay = 2;               // and up
+
+        this.averageFrameTime = 1 / targetFps;
+        this.timeSinceChange = 0;
+    }
+
+    // Start over at full resolution, e.g. when it's switched on
+    reset() {
+        this.scale = this.maxScale;
+        this.averageFrameTime = 1 / this.targetFps;
+        this.timeSinceChange = 0;
+    }
+
+    // Feed in the last frame's duration. Returns true when the scale changed.
+    update(frameTime) {
+        // Ignore hitches from tab switches and the like
+        if (frameTime <= 0 || frameTime > 0.25) return false;
+
+        this.averageFrameTime += (frameTime - this.averageFrameTime) * this.smoothing;
+        this.timeSinceChange += frameTime;
+
+        const ratio = this.averageFrameTime * this.targetFps;
+        let scale = this.scale;
+        if (ratio > this.downThreshold && this.timeSinceChange >= this.downDelay) {
+            scale = Math.max(this.minScale, scale - this.step);
+        } else if (ratio < this.upThreshold && this.timeSinceChange >= this.upDelay) {
+            scale = Math.min(this.maxScale, scale + this.step);
+        }
+
+        if (scale === this.scale) return false;
+        this.scale = scale;
+        this.timeSinceChange = 0;
+        return true;
+    }
+}
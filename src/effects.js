@@ -0,0 +1,256 @@
+import * as THREE from 'three';
+import { ParticleSystem, Trail, Afterimages } from './particles.js';
+
+// Every visual effect, tweakable without touching the code. Particle effects:
+//   particles:  'normal' for dust and smoke, 'additive' for anything that glows
+//   count:      [min, max] particles per burst, before scaling by the emitter's strength
+//   rate:       particles per second, for effects emitted continuously instead
+//   lifetime:   [min, max] seconds
+//   speed:      [min, max] units per second, along the emit direction
+//   spread:     how far directions stray from it, 0 not at all to 1 anywhere
+//   hemisphere: keep directions above the ground
+//   lift:       extra upward speed, units per second
+//   gravity:    units per second squared, negative falls
+//   drag:       share of speed lost per second
+//   size:       [start, end] diameter in world units
+//   color:      [from, to] - each particle picks a colour between them
+//   opacity:    at birth, fading to nothing over the lifetime
+// dashAfterimage leaves see-through copies of the character along a dash, and
+// slashTrail a ribbon behind the blade through each swing:
+//   { count or samples, lifetime, color, opacity }
+export const EffectRegistry = {
+    // Sand kicked up by landing, scaled by how hard we came down
+    landingPuff: {
+        particles: 'normal',
+        count: [10, 24],
+        lifetime: [0.5, 0.9],
+        speed: [1, 2.5],
+        spread: 1,
+        hemisphere: true,
+        lift: 0.3,
+        gravity: -2,
+        drag: 3,
+        size: [0.25, 0.7],
+        color: [0xd9c7a0, 0xbfa87a],
+        opacity: 0.6
+    },
+    // A stream of sand behind a slide
+    slideDust: {
+        particles: 'normal',
+        rate: 40,
+        lifetime: [0.4, 0.7],
+        speed: [0.5, 1.5],
+        spread: 0.6,
+        hemisphere: true,
+        lift: 0.6,
+        gravity: -1.5,
+        drag: 2.5,
+        size: [0.2, 0.55],
+        color: [0xd9c7a0, 0xbfa87a],
+        opacity: 0.5
+    },
+    // Blade striking a target
+    hitSparks: {
+        particles: 'additive',
+        count: [14, 20],
+        lifetime: [0.15, 0.35],
+        speed: [4, 8],
+        spread: 0.7,
+        lift: 1,
+        gravity: -12,
+        drag: 4,
+        size: [0.12, 0.03],
+        color: [0xffe9a0, 0xff8a30],
+        opacity: 1
+    },
+    dashAfterimage: {
+        count: 4,                   // Copies spread along the dash, the oldest faintest
+        lifetime: 0.35,
+        color: 0x8fd3ff,
+        opacity: 0.35
+    },
+    slashTrail: {
+        samples: 48,                // Blade positions kept, enough for the lifetime at high frame rates
+        lifetime: 0.18,
+        color: 0xdff3ff,
+        opacity: 0.7
+    }
+};
+
+const randomDirection = new THREE.Vector3();
+const emitDirection = new THREE.Vector3();
+const velocity = new THREE.Vector3();
+const offset = new THREE.Vector3();
+const slideDirection = new THREE.Vector3();
+const color = new THREE.Color();
+const fromColor = new THREE.Color();
+const toColor = new THREE.Color();
+const Up = new THREE.Vector3(0, 1, 0);
+
+function randomIn([min, max]) {
+    return THREE.MathUtils.randFloat(min, max);
+}
+
+// Dust, afterimages, slash trails and sparks for the player's movement and combat.
+// Particles share two pooled systems, one per blend mode, so every effect costs a
+// couple of draw calls however many are playing. Update it once per rendered frame,
+// with the game clock's time so effects freeze with the game.
+export class Effects {
+    constructor(scene, { definitions = EffectRegistry, capacity = 1024 } = {}) {
+        this.definitions = definitions;
+        this.systems = {
+            normal: new ParticleSystem({ capacity, blending: THREE.NormalBlending }),
+            additive: new ParticleSystem({ capacity: capacity / 2, blending: THREE.AdditiveBlending })
+        };
+        for (const system of Object.values(this.systems)) {
+            scene.add(system.points);
+        }
+        this.afterimages = new Afterimages(scene);
+
+        // A few trails so one can fade while the next swing starts
+        this.trails = [];
+        this.nextTrail = 0;
+        this.activeTrail = null;
+        for (let i = 0; i < 3; i++) {
+            const trail = new Trail(definitions.slashTrail);
+            scene.add(trail.mesh);
+            this.trails.push(trail);
+        }
+
+        this.streams = {};              // Name -> particles owed to continuous emitters
+        this.player = null;
+        this.combat = null;
+    }
+
+    // Drawing buffer height in pixels, for particle sizes
+    setPixelHeight(height) {
+        for (const system of Object.values(this.systems)) {
+            system.setPixelHeight(height);
+        }
+    }
+
+    // Spawn a particle effect's burst at position, around direction
+    emit(name, position, { direction = Up, strength = 1 } = {}) {
+        const definition = this.definitions[name];
+        const count = Math.round(randomIn(definition.count) * strength);
+        this.spawn(definition, position, direction, count);
+    }
+
+    // Keep a particle effect flowing at its rate, for deltaTime seconds
+    stream(name, position, deltaTime, { direction = Up } = {}) {
+        const definition = this.definitions[name];
+        const owed = (this.streams[name] ?? 0) + definition.rate * deltaTime;
+        const count = Math.floor(owed);
+        this.streams[name] = owed - count;
+        this.spawn(definition, position, direction, count);
+    }
+
+    spawn(definition, position, direction, count) {
+        const system = this.systems[definition.particles];
+        fromColor.set(definition.color[0]);
+        toColor.set(definition.color[1]);
+        for (let i = 0; i < count; i++) {
+            randomDirection.randomDirection();
+            emitDirection.copy(direction).lerp(randomDirection, definition.spread);
+            if (emitDirection.lengthSq() < 1e-6) {
+                emitDirection.copy(randomDirection);
+            }
+            emitDirection.normalize();
+            if (definition.hemisphere) {
+                emitDirection.y = Math.abs(emitDirection.y);
+            }
+            velocity.copy(emitDirection).multiplyScalar(randomIn(definition.speed));
+            velocity.y += definition.lift ?? 0;
+
+            system.spawn(position, velocity, {
+                lifetime: randomIn(definition.lifetime),
+                size: definition.size[0],
+                endSize: definition.size[1],
+                color: color.lerpColors(fromColor, toColor, Math.random()),
+                opacity: definition.opacity,
+                gravity: definition.gravity ?? 0,
+                drag: definition.drag ?? 0
+            });
+        }
+    }
+
+    // Ghosts of the character's body between from and where it is now
+    spawnAfterimages(name, rig, from) {
+        const definition = this.definitions[name];
+        const meshes = rig.getBodyMeshes();
+        for (let i = 0; i < definition.count; i++) {
+            // Offset back towards the start; the copies further back fade first
+            const along = 1 - i / definition.count;
+            offset.subVectors(from, rig.root.position).multiplyScalar(along);
+            this.afterimages.spawn(meshes, offset, {
+                lifetime: definition.lifetime * (1 - along * 0.5),
+                color: definition.color,
+                opacity: definition.opacity * (1 - along * 0.5)
+            });
+        }
+    }
+
+    // Play the player's effects from their movement and combat events
+    connect(simulation) {
+        const { player, combat, character, rig } = simulation;
+        this.player = player;
+        this.combat = combat;
+
+        player.addEventListener('land', (event) => {
+            if (event.impact < 0.02) return;
+            this.emit('landingPuff', character.position, { strength: Math.min(1, event.impact / 0.15) });
+        });
+        player.addEventListener('dash', (event) => {
+            this.spawnAfterimages('dashAfterimage', rig, event.from);
+        });
+
+        // A fresh ribbon for each swing
+        combat.addEventListener('attack', () => {
+            this.activeTrail = this.trails[this.nextTrail];
+            this.nextTrail = (this.nextTrail + 1) % this.trails.length;
+            this.activeTrail.clear();
+        });
+        combat.addEventListener('hit', (event) => {
+            this.emit('hitSparks', event.point, { direction: event.direction });
+        });
+    }
+
+    // Once per rendered frame, inside the simulation's interpolation so continuous
+    // effects follow the drawn character
+    update(deltaTime) {
+        if (this.player) {
+            this.updatePlayer(deltaTime);
+        }
+        for (const system of Object.values(this.systems)) {
+            system.update(deltaTime);
+        }
+        for (const trail of this.trails) {
+            trail.update(deltaTime);
+        }
+        this.afterimages.update(deltaTime);
+    }
+
+    updatePlayer(deltaTime) {
+        if (deltaTime === 0) return;
+        const { player, combat } = this;
+
+        // Sand sprays back from a slide
+        if (player.isSliding && player.isGrounded) {
+            slideDirection.copy(player.momentum).setY(0).negate();
+            if (slideDirection.lengthSq() > 0) {
+                slideDirection.normalize();
+            }
+            this.stream('slideDust', player.character.position, deltaTime, { direction: slideDirection });
+        }
+
+        // Trace the blade tip while swinging
+        if (this.activeTrail) {
+            if (combat.isAttacking && combat.weaponMesh) {
+                const { base, tip } = combat.getBladeSegment();
+                this.activeTrail.add(base, tip);
+            } else {
+                this.activeTrail = null;
+            }
+        }
+    }
+}
@@ -0,0 +1,367 @@
+import * as THREE from 'three';
+import { Random } from './random.js';
+
+// Enemy AI states
+export const EnemyState = {
+    PATROL: 'patrol',
+    CHASE: 'chase',
+    ATTACK: 'attack',
+    STAGGER: 'stagger',
+    DEAD: 'dead'
+};
+
+export class Enemy {
+    constructor(manager, position, options = {}) {
+        this.manager = manager;
+
+        // Stats
+        this.maxHealth = options.health ?? 60;
+        this.health = this.maxHealth;
+        this.damage = options.damage ?? 10;
+        this.walkSpeed = options.walkSpeed ?? 1.2;     // Units per second while patrolling
+        this.chaseSpeed = options.chaseSpeed ?? 2.6;   // Units per second while chasing
+        this.turnSpeed = 6;                            // Radians per second
+
+        // Senses
+        this.sightRange = options.sightRange ?? 14;    // Start chasing inside this range
+        this.loseRange = options.loseRange ?? 22;      // Give up the chase outside this range
+        this.attackRange = options.attackRange ?? 1.6; // Start an attack inside this range
+
+        // Timings in seconds
+        this.attackWindup = 0.45;
+        this.attackRecovery = 0.5;
+        this.attackCooldown = 1.0;
+        this.staggerDuration = 0.4;
+        this.corpseDuration = 3.0;
+
+        // Patrol around the spawn point
+        this.home = position.clone();
+        this.patrolRadius = options.patrolRadius ?? 8;
+        this.patrolTarget = null;
+        this.patrolWait = 0;
+
+        // Attack target shape (vertical capsule used by the player's hit detection)
+        this.radius = 0.35;
+        this.height = 1.9;
+
+        this.state = EnemyState.PATROL;
+        this.stateTime = 0;
+        this.hasStruck = false;
+        this.cooldown = 0;
+        this.knockback = new THREE.Vector3();
+        this.walkCycle = 0;
+
+        this.object = this.createBody(options.color ?? 0x8e2b2b);
+        this.object.position.copy(position);
+        this.object.rotation.y = manager.random.next() * Math.PI * 2;
+    }
+
+    createBody(color) {
+        const body = new THREE.Group();
+        const material = new THREE.MeshStandardMaterial({ color });
+        const skinMaterial = new THREE.MeshStandardMaterial({ color: 0xc68642 });
+        this.material = material;
+
+        // Torso
+        const torso = new THREE.Group();
+        const chest = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.75, 0.25), material);
+        chest.castShadow = true;
+        torso.add(chest);
+        torso.position.y = 1.35;
+        body.add(torso);
+        this.torso = torso;
+
+        // Head
+        const head = new THREE.Mesh(new THREE.SphereGeometry(0.15, 16, 16), skinMaterial);
+        head.position.y = 0.55;
+        head.castShadow = true;
+        torso.add(head);
+
+        // Legs pivot at the hip
+        const createLeg = (side) => {
+            const leg = new THREE.Group();
+            const mesh = new THREE.Mesh(new THREE.CylinderGeometry(0.09, 0.06, 1.0, 8), material);
+            mesh.position.y = -0.5;
+            mesh.castShadow = true;
+            leg.add(mesh);
+            leg.position.set(side * 0.11, 1.0, 0);
+            body.add(leg);
+            return leg;
+        };
+        this.leftLeg = createLeg(-1);
+        this.rightLeg = createLeg(1);
+
+        // Arms pivot at the shoulder
+        const createArm = (side) => {
+            const arm = new THREE.Group();
+            const mesh = new THREE.Mesh(new THREE.CylinderGeometry(0.07, 0.06, 0.8, 8), skinMaterial);
+            mesh.position.y = -0.4;
+            mesh.castShadow = true;
+            arm.add(mesh);
+            arm.position.set(side * 0.3, 0.35, 0);
+            torso.add(arm);
+            return arm;
+        };
+        this.leftArm = createArm(-1);
+        this.rightArm = createArm(1);
+
+        return body;
+    }
+
+    get isDead() {
+        return this.state === EnemyState.DEAD;
+    }
+
+    setState(state) {
+        this.state = state;
+        this.stateTime = 0;
+        this.hasStruck = false;
+    }
+
+    // Called by the player's hit detection with the damage of the weapon's attack in WeaponRegistry
+    takeDamage(amount, hit = {}) {
+        if (this.isDead) return;
+
+        this.health = Math.max(0, this.health - amount);
+        this.manager.dispatchEvent({ type: 'damage', enemy: this, amount, hit });
+
+        // Push back along the hit direction
+        if (hit.direction) {
+            this.knockback.copy(hit.direction).multiplyScalar(2 + amount * 0.1);
+        }
+
+        if (this.health <= 0) {
+            this.die();
+        } else {
+            this.setState(EnemyState.STAGGER);
+        }
+    }
+
+    die() {
+        this.setState(EnemyState.DEAD);
+        this.manager.dispatchEvent({ type: 'death', enemy: this });
+    }
+
+    update(deltaTime, player) {
+        this.stateTime += deltaTime;
+        this.cooldown = Math.max(0, this.cooldown - deltaTime);
+
+        const toPlayer = new THREE.Vector3().subVectors(player.position, this.object.position).setY(0);
+        const distance = toPlayer.length();
+
+        switch (this.state) {
+            case EnemyState.PATROL:
+                this.updatePatrol(deltaTime);
+                if (distance < this.sightRange) {
+                    this.setState(EnemyState.CHASE);
+                }
+                break;
+
+            case EnemyState.CHASE:
+                if (distance > this.loseRange) {
+                    this.patrolTarget = null;
+                    this.setState(EnemyState.PATROL);
+                } else if (distance < this.attackRange && this.cooldown <= 0) {
+                    this.setState(EnemyState.ATTACK);
+                } else if (distance > this.attackRange * 0.8) {
+                    this.moveTowards(player.position, this.chaseSpeed, deltaTime);
+                } else {
+                    this.faceTowards(player.position, deltaTime);
+                }
+                break;
+
+            case EnemyState.ATTACK:
+                this.faceTowards(player.position, deltaTime);
+                // Strike once at the end of the windup
+                if (!this.hasStruck && this.stateTime >= this.attackWindup) {
+                    this.hasStruck = true;
+                    if (distance < this.attackRange * 1.2) {
+                        this.manager.dispatchEvent({
+                            type: 'attack',
+                            enemy: this,
+                            damage: this.damage,
+                            direction: toPlayer.clone().normalize()
+                        });
+                    }
+                }
+                if (this.stateTime >= this.attackWindup + this.attackRecovery) {
+                    this.cooldown = this.attackCooldown;
+                    this.setState(EnemyState.CHASE);
+                }
+                break;
+
+            case EnemyState.STAGGER:
+                if (this.stateTime >= this.staggerDuration) {
+                    this.setState(EnemyState.CHASE);
+                }
+                break;
+
+            case EnemyState.DEAD:
+                break;
+        }
+
+        // Apply and decay knockback
+        if (this.knockback.lengthSq() > 0.0001) {
+            this.object.position.addScaledVector(this.knockback, deltaTime);
+            this.knockback.multiplyScalar(Math.max(0, 1 - deltaTime * 8));
+        }
+
+        // Keep out of trees and other obstacles
+        if (this.manager.collision && !this.isDead) {
+            this.manager.collision.resolveCapsule(this.object.position, this.radius, this.height);
+        }
+
+        // Stand on the terrain
+        const terrain = this.manager.terrain;
+        if (terrain) {
+            this.object.position.y = terrain.getHeight(this.object.position.x, this.object.position.z);
+        }
+
+        this.animate(deltaTime);
+    }
+
+    updatePatrol(deltaTime) {
+        if (this.patrolWait > 0) {
+            this.patrolWait -= deltaTime;
+            return;
+        }
+
+        if (!this.patrolTarget) {
+            const angle = this.manager.random.next() * Math.PI * 2;
+            const radius = this.manager.random.next() * this.patrolRadius;
+            this.patrolTarget = new THREE.Vector3(
+                this.home.x + Math.cos(angle) * radius,
+                this.home.y,
+                this.home.z + Math.sin(angle) * radius
+            );
+        }
+
+        this.moveTowards(this.patrolTarget, this.walkSpeed, deltaTime);
+
+        // Pause for a moment at each waypoint
+        if (this.object.position.distanceTo(this.patrolTarget) < 0.3) {
+            this.patrolTarget = null;
+            this.patrolWait = this.manager.random.range(1, 3);
+        }
+    }
+
+    moveTowards(target, speed, deltaTime) {
+        const direction = new THREE.Vector3().subVectors(target, this.object.position).setY(0);
+        const distance = direction.length();
+        if (distance < 0.001) return;
+
+        direction.divideScalar(distance);
+        const step = Math.min(distance, speed * deltaTime);
+
+        // Enemies don't swim - stop at the water's edge
+        const terrain = this.manager.terrain;
+        if (terrain) {
+            const nextX = this.object.position.x + direction.x * step;
+            const nextZ = this.object.position.z + direction.z * step;
+            if (terrain.getHeight(nextX, nextZ) < terrain.seaLevel - 0.5) {
+                this.patrolTarget = null;
+                this.faceTowards(target, deltaTime);
+                return;
+            }
+        }
+
+        this.object.position.addScaledVector(direction, step);
+        this.faceTowards(target, deltaTime);
+        this.walkCycle += speed * deltaTime * 4;
+    }
+
+    faceTowards(target, deltaTime) {
+        const targetRotation = Math.atan2(
+            target.x - this.object.position.x,
+            target.z - this.object.position.z
+        );
+        let delta = targetRotation - this.object.rotation.y;
+        delta = Math.atan2(Math.sin(delta), Math.cos(delta)); // Shortest direction
+        const step = this.turnSpeed * deltaTime;
+        this.object.rotation.y += THREE.MathUtils.clamp(delta, -step, step);
+    }
+
+    animate(deltaTime) {
+        const moving = this.state === EnemyState.PATROL || this.state === EnemyState.CHASE;
+        const swing = moving ? Math.sin(this.walkCycle) * 0.5 : 0;
+
+        this.leftLeg.rotation.x = swing;
+        this.rightLeg.rotation.x = -swing;
+        this.leftArm.rotation.x = -swing * 0.6;
+        this.rightArm.rotation.x = swing * 0.6;
+        this.torso.rotation.x = 0;
+
+        switch (this.state) {
+            case EnemyState.ATTACK:
+                if (this.stateTime < this.attackWindup) {
+                    // Raise the arm for the windup
+                    const windup = this.stateTime / this.attackWindup;
+                    this.rightArm.rotation.x = -2.6 * windup;
+                } else {
+                    // Swing down and recover
+                    const recovery = Math.min(1, (this.stateTime - this.attackWindup) / this.attackRecovery);
+                    this.rightArm.rotation.x = -2.6 + 3.4 * Math.min(1, recovery * 4) - 0.8 * recovery;
+                    this.torso.rotation.x = 0.3 * (1 - recovery);
+                }
+                break;
+
+            case EnemyState.STAGGER:
+                // Recoil backwards
+                this.torso.rotation.x = -0.4 * (1 - this.stateTime / this.staggerDuration);
+                break;
+
+            case EnemyState.DEAD:
+                // Fall over backwards
+                this.object.rotation.x = -Math.PI / 2 * Math.min(1, this.stateTime / 0.5);
+                break;
+        }
+
+        // Flash on damage
+        const flash = this.state === EnemyState.STAGGER && this.stateTime < 0.1;
+        this.material.emissive.setHex(flash ? 0xffffff : 0x000000);
+    }
+}
+
+export class EnemyManager extends THREE.EventDispatcher {
+    constructor(scene, { collision = null, terrain = null, random = new Random() } = {}) {
+        super();
+        this.scene = scene;
+        this.random = random;           // Seeded generator for spawn facing and patrol routes
+        this.collision = collision;     // Optional CollisionWorld enemies are kept out of
+        this.terrain = terrain;         // Optional Terrain enemies walk on
+        this.enemies = [];
+    }
+
+    spawn(position, options = {}) {
+        const enemy = new Enemy(this, position, options);
+        this.enemies.push(enemy);
+        this.scene.add(enemy.object);
+        this.dispatchEvent({ type: 'spawn', enemy });
+        return enemy;
+    }
+
+    remove(enemy) {
+        const index = this.enemies.indexOf(enemy);
+        if (index === -1) return;
+
+        this.enemies.splice(index, 1);
+        this.scene.remove(enemy.object);
+        this.dispatchEvent({ type: 'remove', enemy });
+    }
+
+    update(deltaTime, player) {
+        // Iterate over a copy so enemies can be removed during the update
+        for (const enemy of [...this.enemies]) {
+            enemy.update(deltaTime, player);
+
+            // Clear away bodies after a while
+            if (enemy.isDead && enemy.stateTime >= enemy.corpseDuration) {
+                this.remove(enemy);
+            }
+        }
+    }
+
+    getAlive() {
+        return this.enemies.filter(enemy => !enemy.isDead);
+    }
+}
@@ -0,0 +1,256 @@
+import * as THREE from 'three';
+import { Simulation } from './simulation.js';
+import { Input } from './input.js';
+import { ThirdPersonCamera } from './thirdPersonCamera.js';
+import { HUD } from './hud.js';
+import { ControlsMenu } from './controlsMenu.js';
+import { SaveManager, SlotLabels, readSave } from './saveGame.js';
+import { SaveMenu } from './saveMenu.js';
+import { Settings, ShadowQualities, GraphicsPresets } from './settings.js';
+import { SettingsMenu } from './settingsMenu.js';
+import { PauseMenu } from './pauseMenu.js';
+import { DynamicResolution } from './dynamicResolution.js';
+import { AudioSystem } from './audio.js';
+import { Effects } from './effects.js';
+
+// World seed from the page URL (?seed=1234). Without one we carry on in the
+// autosaved world, or pick a seed, and put it in the URL so a bug report's link
+// reproduces the same map.
+function getSeedFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    let seed = params.get('seed') ?? readSave('autosave')?.seed;
+    if (!seed) {
+        seed = String(Math.floor(Math.random() * 1e9));
+    }
+    params.set('seed', seed);
+    window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+    return seed;
+}
+
+// Browser shell around the simulation: renderer, camera controls, input, HUD and menus
+export class Game {
+    constructor(container = document.body, { seed = getSeedFromUrl(), assets = null } = {}) {
+        this.settings = new Settings();
+        this.isPaused = false;
+        this.dynamicResolution = new DynamicResolution();
+
+        // Scene setup
+        this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.shadowMap.enabled = true;
+        container.appendChild(this.renderer.domElement);
+
+        this.simulation = new Simulation({
+            camera: this.camera,
+            textures: assets?.textures,
+            seed
+        });
+        this.scene = this.simulation.scene;
+        this.player = this.simulation.player;
+
+        // Swap in the artists' character model when one is provided
+        if (assets?.character) {
+            try {
+                this.simulation.rig.useModel(assets.character.model, assets.character.options);
+            } catch (error) {
+                console.warn('Could not use the character model, using the mannequin:', error);
+            }
+        }
+
+        // Positional sound from the character, heard from the camera. Starts on the first click or key.
+        this.audio = new AudioSystem(this.camera, { sounds: assets?.sounds });
+        this.audio.connect(this.simulation);
+        const unlockAudio = () => {
+            this.audio.unlock();
+            document.removeEventListener('pointerdown', unlockAudio);
+            document.removeEventListener('keydown', unlockAudio);
+        };
+        document.addEventListener('pointerdown', unlockAudio);
+        document.addEventListener('keydown', unlockAudio);
+
+        // Dust, afterimages, slash trails and sparks for the player's movement and combat
+        this.effects = new Effects(this.scene);
+        this.effects.connect(this.simulation);
+
+        // Keyboard, mouse and gamepad controls, rebindable from the controls menu (F1)
+        this.input = new Input(this.renderer.domElement, {
+            player: this.player,
+            combat: this.simulation.combat
+        });
+        this.controlsMenu = new ControlsMenu(container, this.input);
+
+        // Third-person camera: click to capture the mouse, wheel to zoom, lock-on with Q
+        this.cameraController = new ThirdPersonCamera(this.camera, {
+            target: this.simulation.character,
+            player: this.player,
+            terrain: this.simulation.world.terrain,
+            collision: this.simulation.world.collision,
+            input: this.input,
+            domElement: this.renderer.domElement
+        });
+        this.input.addEventListener('press', (event) => {
+            if (event.action === 'lockOn') {
+                this.cameraController.toggleLockOn(this.simulation.enemyManager.getAlive());
+            }
+        });
+
+        // Create HUD
+        this.hud = new HUD(container, { seed });
+        this.simulation.combat.addEventListener('attackFailed', () => this.hud.flashStamina());
+
+        // Save slots (F2). Pick up where the last session left off, or the slot
+        // named by ?load= after loading a save from another world.
+        this.saveManager = new SaveManager({
+            seed,
+            simulation: this.simulation,
+            input: this.input,
+            settings: this.settings,
+            cameraController: this.cameraController
+        });
+        this.saveMenu = new SaveMenu(container, this.input, this.saveManager);
+
+        // Escape pauses. Any open menu freezes the game.
+        this.settingsMenu = new SettingsMenu(container, this.settings, {
+            openBindings: () => this.pauseMenu.openSubmenu(this.controlsMenu)
+        });
+        this.pauseMenu = new PauseMenu(container, this.input, {
+            settingsMenu: this.settingsMenu,
+            controlsMenu: this.controlsMenu,
+            saveMenu: this.saveMenu
+        });
+        this.menus = [this.pauseMenu, this.settingsMenu, this.controlsMenu, this.saveMenu];
+        for (const menu of this.menus) {
+            menu.addEventListener('open', () => this.updatePaused());
+            menu.addEventListener('close', () => this.updatePaused());
+        }
+
+        // Losing the mouse mid-game (Escape, switching windows) pauses
+        document.addEventListener('pointerlockchange', () => {
+            if (!document.pointerLockElement && !this.isPaused) {
+                this.pauseMenu.open();
+            }
+        });
+
+        this.settings.addEventListener('change', () => this.applySettings());
+        this.applySettings();
+
+        this.restoreSave();
+        this.saveManager.startAutosave();
+
+        // Animation loop
+        this.clock = new THREE.Clock();
+        this.animate();
+
+        // Handle window resize
+        window.addEventListener('resize', () => this.onWindowResize(), false);
+
+        // Freeze game time while the tab is in the background
+        document.addEventListener('visibilitychange', () => this.updatePaused());
+    }
+
+    // Freeze the game and hand the mouse to the menus while one is open
+    updatePaused() {
+        this.isPaused = this.menus.some(menu => menu.isOpen);
+        this.input.enabled = !this.isPaused;
+        this.simulation.gameClock.paused = this.isPaused || document.hidden;
+        this.audio.setPaused(this.isPaused || document.hidden);
+        if (this.isPaused && document.pointerLockElement) {
+            document.exitPointerLock();
+        }
+    }
+
+    get graphicsPreset() {
+        return GraphicsPresets[this.settings.get('graphicsPreset')] ?? GraphicsPresets.high;
+    }
+
+    applySettings() {
+        const settings = this.settings.values;
+        this.cameraController.mouseSensitivity = settings.mouseSensitivity;
+        this.cameraController.invertY = settings.invertY;
+        this.cameraController.baseFov = settings.fov;
+
+        const world = this.simulation.world;
+        const shadows = ShadowQualities[settings.shadowQuality] ?? ShadowQualities.high;
+        world.setShadowMapSize(shadows.size);
+        if (this.renderer.shadowMap.type !== shadows.type) {
+            this.renderer.shadowMap.type = shadows.type;
+            // Materials bake the shadow filtering into their shaders
+            this.scene.traverse((object) => {
+                for (const material of [object.material ?? []].flat()) {
+                    material.needsUpdate = true;
+                }
+            });
+        }
+        world.setDrawDistance(this.graphicsPreset.drawDistance);
+        world.setTreeDensity(this.graphicsPreset.treeDensity);
+
+        this.audio.setVolume('master', settings.masterVolume);
+        this.audio.setVolume('sfx', settings.sfxVolume);
+        this.audio.setVolume('ambience', settings.ambienceVolume);
+        this.audio.setVolume('music', settings.musicVolume);
+
+        if (this.dynamicResolution.targetFps !== settings.targetFps || !settings.dynamicResolution) {
+            this.dynamicResolution.targetFps = settings.targetFps;
+            this.dynamicResolution.reset();
+        }
+        this.updatePixelRatio();
+    }
+
+    // Screen pixel ratio, capped by the graphics preset and scaled by the render scale
+    updatePixelRatio() {
+        const settings = this.settings.values;
+        const scale = settings.dynamicResolution ? this.dynamicResolution.scale : settings.renderScale;
+        const pixelRatio = Math.min(window.devicePixelRatio, this.graphicsPreset.maxPixelRatio) * scale;
+        if (this.renderer.getPixelRatio() !== pixelRatio) {
+            this.renderer.setPixelRatio(pixelRatio);
+        }
+        this.effects.setPixelHeight(this.renderer.domElement.height);
+    }
+
+    restoreSave() {
+        const params = new URLSearchParams(window.location.search);
+        const slot = params.get('load') ?? 'autosave';
+        if (params.has('load')) {
+            params.delete('load');
+            window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+        }
+        if (this.saveManager.restore(slot)) {
+            this.hud.showMessage(`Continued from ${SlotLabels[slot] ?? slot}`);
+        }
+    }
+
+    animate() {
+        requestAnimationFrame(() => this.animate());
+        this.input.update();
+        const frameTime = this.clock.getDelta();
+        if (this.settings.get('dynamicResolution') && !this.isPaused && this.dynamicResolution.update(frameTime)) {
+            this.updatePixelRatio();
+        }
+        const alpha = this.simulation.advance(frameTime);
+        this.render(alpha, frameTime);
+    }
+
+    // Render the scene blended between the previous and current simulation steps
+    render(alpha, frameTime) {
+        this.simulation.beginInterpolation(alpha);
+
+        // Follow the interpolated character so the camera doesn't judder
+        this.cameraController.update(Math.min(frameTime, 0.1));
+        this.simulation.world.updateView(this.camera, this.simulation.character.position);
+        this.effects.update(this.simulation.gameClock.scale(Math.min(frameTime, 0.1)));
+
+        this.renderer.render(this.scene, this.camera);
+        this.audio.update();
+        this.hud.update(this.player, this.simulation.combat, this.simulation.world.dayNight);
+
+        this.simulation.endInterpolation();
+    }
+
+    onWindowResize() {
+        this.camera.aspect = window.innerWidth / window.innerHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.effects.setPixelHeight(this.renderer.domElement.height);
+    }
+}
@@ -0,0 +1,187 @@
+// Debug overlay showing the player's movement stats and world seed, plus health and
+// stamina bars and short notices
+export class HUD {
+    constructor(container = document.body, { seed = null } = {}) {
+        // Create HUD container
+        const hudContainer = document.createElement('div');
+        hudContainer.style.position = 'fixed';
+        hudContainer.style.top = '10px';
+        hudContainer.style.left = '10px';
+        hudContainer.style.padding = '10px';
+        hudContainer.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        hudContainer.style.color = 'white';
+        hudContainer.style.fontFamily = 'monospace';
+        hudContainer.style.fontSize = '14px';
+        hudContainer.style.borderRadius = '5px';
+        hudContainer.style.zIndex = '1000';
+
+        // Create stat elements
+        this.speedDisplay = document.createElement('div');
+        this.momentumDisplay = document.createElement('div');
+        this.stateDisplay = document.createElement('div');
+        this.dashDisplay = document.createElement('div');
+        this.jumpDisplay = document.createElement('div');
+        this.dashDecayDisplay = document.createElement('div');  // New element for dash decay timer
+        this.weaponDisplay = document.createElement('div');
+        this.timeDisplay = document.createElement('div');
+        this.seedDisplay = document.createElement('div');       // World seed, for bug reports
+        this.seedDisplay.textContent = seed !== null ? `Seed: ${seed}` : '';
+
+        // Add elements to container
+        hudContainer.appendChild(this.speedDisplay);
+        hudContainer.appendChild(this.momentumDisplay);
+        hudContainer.appendChild(this.stateDisplay);
+        hudContainer.appendChild(this.dashDisplay);
+        hudContainer.appendChild(this.jumpDisplay);
+        hudContainer.appendChild(this.dashDecayDisplay);  // Add new element to container
+        hudContainer.appendChild(this.weaponDisplay);
+        hudContainer.appendChild(this.timeDisplay);
+        hudContainer.appendChild(this.seedDisplay);
+
+        // Add to document
+        container.appendChild(hudContainer);
+        this.element = hudContainer;
+
+        // Health and stamina bars, bottom left
+        const barContainer = document.createElement('div');
+        barContainer.style.position = 'fixed';
+        barContainer.style.bottom = '20px';
+        barContainer.style.left = '20px';
+        barContainer.style.zIndex = '1000';
+        this.healthBar = this.createBar(barContainer, '#D32F2F', 240);
+        this.staminaBar = this.createBar(barContainer, '#43A047', 200);
+        container.appendChild(barContainer);
+
+        // Red flash around the screen edge when hit
+        this.damageFlash = document.createElement('div');
+        this.damageFlash.style.position = 'fixed';
+        this.damageFlash.style.inset = '0';
+        this.damageFlash.style.pointerEvents = 'none';
+        this.damageFlash.style.background = 'radial-gradient(ellipse at center, rgba(255, 0, 0, 0) 50%, rgba(200, 0, 0, 0.6) 100%)';
+        this.damageFlash.style.opacity = '0';
+        this.damageFlash.style.zIndex = '999';
+        container.appendChild(this.damageFlash);
+        this.damageFlashTime = 0.4; // Seconds
+        this.staminaFlashTimeout = null;
+
+        // Shown while waiting to respawn
+        this.deathMessage = document.createElement('div');
+        this.deathMessage.style.position = 'fixed';
+        this.deathMessage.style.top = '40%';
+        this.deathMessage.style.width = '100%';
+        this.deathMessage.style.textAlign = 'center';
+        this.deathMessage.style.color = 'white';
+        this.deathMessage.style.fontFamily = 'monospace';
+        this.deathMessage.style.fontSize = '32px';
+        this.deathMessage.style.textShadow = '0 0 8px black';
+        this.deathMessage.style.pointerEvents = 'none';
+        this.deathMessage.style.zIndex = '1000';
+        this.deathMessage.style.display = 'none';
+        this.deathMessage.textContent = 'You died - respawning...';
+        container.appendChild(this.deathMessage);
+
+        // Short notices, top centre, e.g. when a save is restored
+        this.message = document.createElement('div');
+        this.message.style.position = 'fixed';
+        this.message.style.top = '20px';
+        this.message.style.width = '100%';
+        this.message.style.textAlign = 'center';
+        this.message.style.color = 'white';
+        this.message.style.fontFamily = 'monospace';
+        this.message.style.fontSize = '18px';
+        this.message.style.textShadow = '0 0 6px black';
+        this.message.style.pointerEvents = 'none';
+        this.message.style.zIndex = '1000';
+        this.message.style.transition = 'opacity 0.5s';
+        this.message.style.opacity = '0';
+        container.appendChild(this.message);
+        this.messageTimeout = null;
+    }
+
+    // Outline the stamina bar in red for a moment, e.g. when an attack needs more stamina
+    flashStamina() {
+        const bar = this.staminaBar.parentElement;
+        bar.style.borderColor = '#FF5252';
+        clearTimeout(this.staminaFlashTimeout);
+        this.staminaFlashTimeout = setTimeout(() => {
+            bar.style.borderColor = 'rgba(255, 255, 255, 0.5)';
+        }, 300);
+    }
+
+    // Show text for a few seconds, then fade it out
+    showMessage(text, duration = 3000) {
+        this.message.textContent = text;
+        this.message.style.opacity = '1';
+        clearTimeout(this.messageTimeout);
+        this.messageTimeout = setTimeout(() => {
+            this.message.style.opacity = '0';
+        }, duration);
+    }
+
+    // A bar of the given colour and width; returns the fill element to resize
+    createBar(container, color, width) {
+        const bar = document.createElement('div');
+        bar.style.width = `${width}px`;
+        bar.style.height = '12px';
+        bar.style.marginTop = '6px';
+        bar.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+        bar.style.border = '1px solid rgba(255, 255, 255, 0.5)';
+        bar.style.borderRadius = '3px';
+        bar.style.overflow = 'hidden';
+
+        const fill = document.createElement('div');
+        fill.style.height = '100%';
+        fill.style.width = '100%';
+        fill.style.backgroundColor = color;
+        bar.appendChild(fill);
+
+        container.appendChild(bar);
+        return fill;
+    }
+
+    update(player, combat = null, dayNight = null) {
+        // Calculate current speed
+        const speed = player.momentum.length();
+        const momentumX = player.momentum.x.toFixed(3);
+        const momentumZ = player.momentum.z.toFixed(3);
+        
+        // Update displays
+        this.speedDisplay.textContent = `Speed: ${speed.toFixed(3)}`;
+        this.momentumDisplay.textContent = `Momentum: X:${momentumX} Z:${momentumZ}`;
+        this.stateDisplay.textContent = `State: ${player.characterState}`;
+        this.dashDisplay.textContent = `Dash Ready: ${player.canDash ? 'Yes' : 'No'}`;
+        this.jumpDisplay.textContent = `Double Jump: ${player.hasDoubleJump ? 'Available' : 'Used'}`;
+        this.updateVitals(player);
+        if (combat) {
+            this.weaponDisplay.textContent = `Weapon: ${combat.weapon.name} (${combat.weaponState})`;
+        }
+        if (dayNight) {
+            const minutes = Math.floor(dayNight.hours * 60);
+            const clock = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+            this.timeDisplay.textContent = `Time: ${clock}${dayNight.isNight ? ' (night)' : ''}`;
+        }
+
+        // Update dash decay timer if active
+        if (player.dashDecayStartTime !== null) {
+            const timeLeft = Math.max(0, player.dashDecayStartTime + player.dashDecayDuration - player.gameClock.time);
+            if (timeLeft > 0) {
+                this.dashDecayDisplay.textContent = `Speed Decay in: ${timeLeft.toFixed(1)}s`;
+            } else {
+                this.dashDecayDisplay.textContent = 'Speed Decaying...';
+            }
+        } else {
+            this.dashDecayDisplay.textContent = '';
+        }
+    }
+
+    updateVitals(player) {
+        this.healthBar.style.width = `${(player.health / player.maxHealth) * 100}%`;
+        this.staminaBar.style.width = `${(player.stamina / player.maxStamina) * 100}%`;
+        // Dim the stamina bar while exhausted
+        this.staminaBar.style.opacity = player.isExhausted ? '0.4' : '1';
+
+        const sinceHit = player.gameClock.time - player.lastDamageTime;
+        this.damageFlash.style.opacity = `${Math.max(0, 1 - sinceHit / this.damageFlashTime)}`;
+        this.deathMessage.style.display = player.isDead ? 'block' : 'none';
+    }
+}
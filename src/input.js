@@ -0,0 +1,421 @@
+import * as THREE from 'three';
+
+// Default bindings for every action.
+// Codes are KeyboardEvent.code values ('KeyW'), 'Mouse<button>', 'Pad<button>' and
+// 'PadAxis<axis>+' / 'PadAxis<axis>-' for stick directions on a standard-mapping gamepad.
+export const DefaultBindings = {
+    moveForward: ['KeyW', 'PadAxis1-'],
+    moveBackward: ['KeyS', 'PadAxis1+'],
+    moveLeft: ['KeyA', 'PadAxis0-'],
+    moveRight: ['KeyD', 'PadAxis0+'],
+    sprint: ['ShiftLeft', 'ShiftRight', 'Pad10'],
+    jump: ['Space', 'Pad0'],
+    dash: ['KeyE', 'Pad5'],
+    slide: ['ControlLeft', 'ControlRight', 'Pad1'],
+    letGo: ['KeyC', 'Pad13'],   // Drop from a ledge
+    lightAttack: ['Mouse0', 'KeyJ', 'Pad2'],
+    heavyAttack: ['Mouse2', 'KeyK', 'Pad3'],
+    lookLeft: ['PadAxis2-'],
+    lookRight: ['PadAxis2+'],
+    lookUp: ['PadAxis3-'],
+    lookDown: ['PadAxis3+'],
+    lockOn: ['KeyQ', 'Mouse1', 'Pad11'],
+    toggleWeapon: ['KeyF', 'Pad4'],
+    nextWeapon: ['KeyR', 'Pad15'],
+    previousWeapon: ['Pad14'],
+    weapon1: ['Digit1'],
+    weapon2: ['Digit2'],
+    weapon3: ['Digit3'],
+    controls: ['F1', 'Pad8'],   // Open the controls menu
+    saveMenu: ['F2'],           // Open the save menu
+    pause: ['Escape', 'Pad9']
+};
+
+export const ActionLabels = {
+    moveForward: 'Move forward',
+    moveBackward: 'Move backward',
+    moveLeft: 'Move left',
+    moveRight: 'Move right',
+    sprint: 'Sprint',
+    jump: 'Jump',
+    dash: 'Dash',
+    slide: 'Slide',
+    letGo: 'Let go of a ledge',
+    lightAttack: 'Light attack',
+    heavyAttack: 'Heavy attack',
+    lookLeft: 'Look left',
+    lookRight: 'Look right',
+    lookUp: 'Look up',
+    lookDown: 'Look down',
+    lockOn: 'Lock on',
+    toggleWeapon: 'Draw / sheathe',
+    nextWeapon: 'Next weapon',
+    previousWeapon: 'Previous weapon',
+    weapon1: 'Weapon 1',
+    weapon2: 'Weapon 2',
+    weapon3: 'Weapon 3',
+    controls: 'Controls menu',
+    saveMenu: 'Save menu',
+    pause: 'Pause'
+};
+
+// Actions that open menus still work while a menu has gameplay input turned off
+const MenuActions = new Set(['controls', 'saveMenu', 'pause']);
+
+const STORAGE_KEY = 'beach-adventure.bindings';
+
+// Saved bindings on top of the defaults, so new actions still get a binding
+function mergeBindings(saved) {
+    const bindings = structuredClone(DefaultBindings);
+    for (const action in saved) {
+        if (action in bindings && Array.isArray(saved[action])) {
+            bindings[action] = saved[action];
+        }
+    }
+    return bindings;
+}
+
+// Standard gamepad button names for the bindings menu
+const PadButtonNames = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+    'L3', 'R3', 'D-Pad Up', 'D-Pad Down', 'D-Pad Left', 'D-Pad Right', 'Home'
+];
+const PadAxisNames = ['Left Stick X', 'Left Stick Y', 'Right Stick X', 'Right Stick Y'];
+const MouseButtonNames = ['Left Mouse', 'Middle Mouse', 'Right Mouse'];
+
+export function isGamepadBinding(code) {
+    return code.startsWith('Pad');
+}
+
+// Human readable name of a binding code
+export function describeBinding(code) {
+    let match = code.match(/^PadAxis(\d+)([+-])$/);
+    if (match) {
+        return `${PadAxisNames[match[1]] ?? `Axis ${match[1]}`} ${match[2]}`;
+    }
+    match = code.match(/^Pad(\d+)$/);
+    if (match) {
+        return `Pad ${PadButtonNames[match[1]] ?? match[1]}`;
+    }
+    match = code.match(/^Mouse(\d+)$/);
+    if (match) {
+        return MouseButtonNames[match[1]] ?? `Mouse ${match[1]}`;
+    }
+    return code.replace(/^Key/, '').replace(/^Digit/, '');
+}
+
+// Maps keyboard, mouse and gamepad input to actions that drive the player and combat.
+// Dispatches 'press' and 'release' events with the action name for anything else
+// that wants to react (e.g. menus).
+export class Input extends THREE.EventDispatcher {
+    constructor(domElement, { player, combat }) {
+        super();
+        this.domElement = domElement;
+        this.player = player;
+        this.combat = combat;
+        this.enabled = true;            // Menus turn gameplay input off while open
+
+        this.bindings = this.loadBindings();
+        this.pressedCodes = new Set();  // Keys and mouse buttons held right now
+        this.gamepadValues = new Map(); // Pad code -> 0..1, refreshed every frame
+        this.activeActions = new Set();
+        this.look = new THREE.Vector2();    // Analog camera look, x right and y up, length 0..1
+        this.stickDeadZone = 0.2;
+        this.pressThreshold = 0.5;      // How far an analog input must go to count as pressed
+        this.captureCallback = null;    // Set while waiting for a new binding
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+        this.onCaptureMouseDown = this.onCaptureMouseDown.bind(this);
+        this.onBlur = this.onBlur.bind(this);
+        this.onContextMenu = (event) => event.preventDefault();
+
+        // Setup keyboard controls
+        document.addEventListener('keydown', this.onKeyDown);
+        document.addEventListener('keyup', this.onKeyUp);
+
+        // Setup mouse controls - left click light attack, right click heavy (aerial when airborne)
+        this.domElement.addEventListener('mousedown', this.onMouseDown);
+        document.addEventListener('mouseup', this.onMouseUp);
+        this.domElement.addEventListener('contextmenu', this.onContextMenu);
+
+        // Don't leave keys stuck down when the window loses focus
+        window.addEventListener('blur', this.onBlur);
+    }
+
+    // Bindings saved by an earlier session
+    loadBindings() {
+        try {
+            return mergeBindings(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+        } catch (error) {
+            console.warn('Could not load saved key bindings:', error);
+            return structuredClone(DefaultBindings);
+        }
+    }
+
+    saveBindings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('Could not save key bindings:', error);
+        }
+    }
+
+    // Replace an action's keyboard/mouse or gamepad binding with code.
+    // The code is taken away from any other action that used it.
+    setBinding(action, code) {
+        for (const other in this.bindings) {
+            this.bindings[other] = this.bindings[other].filter(existing => existing !== code);
+        }
+        const gamepad = isGamepadBinding(code);
+        const others = this.bindings[action].filter(existing => isGamepadBinding(existing) !== gamepad);
+        this.bindings[action] = [code, ...others];
+        this.saveBindings();
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    resetBindings() {
+        this.replaceBindings(null);
+    }
+
+    // Take on a whole set of bindings, e.g. from a save game
+    replaceBindings(saved) {
+        this.bindings = mergeBindings(saved);
+        this.saveBindings();
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    // Call back with the next key, mouse button or gamepad input instead of acting on it.
+    // Escape cancels and calls back with null.
+    captureNextBinding(callback) {
+        this.captureCallback = callback;
+        document.addEventListener('mousedown', this.onCaptureMouseDown);
+    }
+
+    finishCapture(code) {
+        const callback = this.captureCallback;
+        this.captureCallback = null;
+        document.removeEventListener('mousedown', this.onCaptureMouseDown);
+        callback(code);
+    }
+
+    onCaptureMouseDown(event) {
+        event.preventDefault();
+        this.finishCapture(`Mouse${event.button}`);
+    }
+
+    onKeyDown(event) {
+        if (this.captureCallback) {
+            event.preventDefault();
+            this.finishCapture(event.code === 'Escape' ? null : event.code);
+            return;
+        }
+        if (event.code === 'F1') event.preventDefault(); // Browser help
+        if (event.repeat) return;
+
+        this.pressedCodes.add(event.code);
+        this.refreshActions();
+    }
+
+    onKeyUp(event) {
+        this.pressedCodes.delete(event.code);
+        this.refreshActions();
+    }
+
+    onMouseDown(event) {
+        if (this.captureCallback) return;
+        // Until the pointer is locked a click only captures the mouse (see
+        // ThirdPersonCamera), so it mustn't swing the weapon too
+        if (document.pointerLockElement !== this.domElement) return;
+        this.pressedCodes.add(`Mouse${event.button}`);
+        this.refreshActions();
+    }
+
+    onMouseUp(event) {
+        this.pressedCodes.delete(`Mouse${event.button}`);
+        this.refreshActions();
+    }
+
+    onBlur() {
+        this.pressedCodes.clear();
+        this.refreshActions();
+    }
+
+    // Read the first connected gamepad; the Gamepad API has no events for buttons or sticks
+    pollGamepad() {
+        const previous = new Map(this.gamepadValues);
+        this.gamepadValues.clear();
+
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+        const gamepad = Array.from(gamepads).find(pad => pad && pad.connected);
+        if (!gamepad) return;
+
+        gamepad.buttons.forEach((button, index) => {
+            const value = button.pressed ? Math.max(button.value, 1) : button.value;
+            if (value > 0) this.gamepadValues.set(`Pad${index}`, Math.min(value, 1));
+        });
+
+        // Sticks with a radial dead zone, rescaled so values still reach 0..1
+        for (let axis = 0; axis + 1 < gamepad.axes.length; axis += 2) {
+            const x = gamepad.axes[axis];
+            const y = gamepad.axes[axis + 1];
+            const length = Math.hypot(x, y);
+            if (length < this.stickDeadZone) continue;
+
+            const scale = Math.min(1, (length - this.stickDeadZone) / (1 - this.stickDeadZone)) / length;
+            const setAxis = (index, value) => {
+                if (value > 0) this.gamepadValues.set(`PadAxis${index}+`, value);
+                if (value < 0) this.gamepadValues.set(`PadAxis${index}-`, -value);
+            };
+            setAxis(axis, x * scale);
+            setAxis(axis + 1, y * scale);
+        }
+
+        // A newly pushed button or stick completes a pending rebind
+        if (this.captureCallback) {
+            for (const [code, value] of this.gamepadValues) {
+                if (value >= this.pressThreshold && (previous.get(code) ?? 0) < this.pressThreshold) {
+                    this.finishCapture(code);
+                    break;
+                }
+            }
+        }
+    }
+
+    // 0..1 for a single binding code
+    getCodeValue(code) {
+        if (isGamepadBinding(code)) {
+            return this.gamepadValues.get(code) ?? 0;
+        }
+        return this.pressedCodes.has(code) ? 1 : 0;
+    }
+
+    // 0..1, the strongest of the action's bindings
+    getActionValue(action) {
+        if (!this.enabled && !MenuActions.has(action)) return 0;
+        let value = 0;
+        for (const code of this.bindings[action]) {
+            value = Math.max(value, this.getCodeValue(code));
+        }
+        return value;
+    }
+
+    isActionActive(action) {
+        return this.getActionValue(action) >= this.pressThreshold;
+    }
+
+    // Once per frame, before the simulation advances
+    update() {
+        this.pollGamepad();
+        this.refreshActions();
+    }
+
+    // Push held input into the player and fire press/release for changed actions
+    refreshActions() {
+        const player = this.player;
+        const keys = player.keys;
+
+        // Analog movement: stick tilt scales speed, keyboard is always full tilt
+        player.moveInput.set(
+            this.getActionValue('moveRight') - this.getActionValue('moveLeft'),
+            this.getActionValue('moveForward') - this.getActionValue('moveBackward')
+        );
+        if (player.moveInput.lengthSq() > 1) {
+            player.moveInput.normalize();
+        }
+
+        this.look.set(
+            this.getActionValue('lookRight') - this.getActionValue('lookLeft'),
+            this.getActionValue('lookUp') - this.getActionValue('lookDown')
+        );
+
+        keys.shift = this.isActionActive('sprint');
+
+        for (const action in this.bindings) {
+            const active = this.isActionActive(action);
+            if (active === this.activeActions.has(action)) continue;
+
+            if (active) {
+                this.activeActions.add(action);
+                this.onActionPressed(action);
+                this.dispatchEvent({ type: 'press', action });
+            } else {
+                this.activeActions.delete(action);
+                this.onActionReleased(action);
+                this.dispatchEvent({ type: 'release', action });
+            }
+        }
+    }
+
+    onActionPressed(action) {
+        const player = this.player;
+
+        switch (action) {
+            case 'dash':
+                if (player.canDash) {
+                    player.performDash();
+                }
+                break;
+            case 'jump':
+                player.jump();
+                break;
+            case 'slide':
+                if (player.canSlide && !player.isSliding && player.isSprinting) {
+                    player.startSlide();
+                }
+                player.keys.ctrl = true;
+                break;
+            case 'letGo':
+                player.traversal.letGo();
+                break;
+            case 'lightAttack':
+                this.combat.performAttack('light');
+                break;
+            case 'heavyAttack': // Heavy on the ground, aerial when airborne
+                this.combat.performAttack('heavy');
+                break;
+            case 'toggleWeapon':
+                this.combat.toggleDrawn();
+                break;
+            case 'nextWeapon':
+                this.combat.cycleWeapon(1);
+                break;
+            case 'previousWeapon':
+                this.combat.cycleWeapon(-1);
+                break;
+            case 'weapon1':
+            case 'weapon2':
+            case 'weapon3':
+                this.combat.equip(this.combat.weapons[Number(action.slice(-1)) - 1]);
+                break;
+        }
+    }
+
+    onActionReleased(action) {
+        const player = this.player;
+
+        switch (action) {
+            case 'jump':
+                player.releaseJump(); // Short hop when let go early
+                break;
+            case 'slide':
+                player.keys.ctrl = false;
+                if (player.isSliding) {
+                    player.cancelSlide();
+                }
+                break;
+        }
+    }
+
+    dispose() {
+        document.removeEventListener('keydown', this.onKeyDown);
+        document.removeEventListener('keyup', this.onKeyUp);
+        this.domElement.removeEventListener('mousedown', this.onMouseDown);
+        document.removeEventListener('mouseup', this.onMouseUp);
+        this.domElement.removeEventListener('contextmenu', this.onContextMenu);
+        window.removeEventListener('blur', this.onBlur);
+        document.removeEventListener('mousedown', this.onCaptureMouseDown);
+    }
+}
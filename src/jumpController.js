@@ -0,0 +1,144 @@
+// Default jump tunables, one group per mechanic. Override any of them with the
+// jumpTuning option of the Simulation, or live on player.jumpController.tuning.
+// Times are in seconds; velocities are per fixed step like the rest of the player's physics.
+export const JumpTuning = {
+    jump: {
+        force: 0.12,                // Upward velocity of a jump from the ground
+        doubleJumpForce: 0.10,      // Upward velocity of the rolling double jump
+        cooldown: 0.2               // Seconds after a jump before jumping from the ground again
+    },
+    coyoteTime: {
+        enabled: true,
+        duration: 0.12              // Seconds after walking off an edge that still count as grounded
+    },
+    buffer: {
+        enabled: true,
+        duration: 0.15              // Seconds a press waits to jump as soon as we can
+    },
+    variableHeight: {
+        enabled: true,
+        releaseMultiplier: 0.5      // Rising velocity kept when the button is let go early
+    },
+    apexHang: {
+        enabled: true,
+        threshold: 0.015,           // Vertical speed below which we're at the top of the arc
+        gravityMultiplier: 0.5,     // Gravity there, for a moment of float
+        requireHeld: true           // Only while the button is held
+    }
+};
+
+// Turns jump presses and releases into jumps: ground jumps with coyote time and an
+// input buffer, the double jump, hold-to-jump-higher and a hang at the apex.
+// Owned by the PlayerController, which steps it at the start of every update.
+export class JumpController {
+    constructor(player, tuning = {}) {
+        this.player = player;
+        this.tuning = {};
+        for (const [mechanic, defaults] of Object.entries(JumpTuning)) {
+            this.tuning[mechanic] = { ...defaults, ...tuning[mechanic] };
+        }
+
+        this.isHeld = false;
+        this.isJumping = false;     // In the air from a jump, until we land
+        this.isRising = false;      // Still going up from it, and not cut short yet
+        this.coyoteTimer = 0;       // Seconds left to jump after leaving the ground
+        this.bufferTimer = 0;       // Seconds left for an early press to jump
+        this.cooldownTimer = 0;
+    }
+
+    // Whether a press now jumps from the ground, or from just after leaving it
+    get canGroundJump() {
+        const player = this.player;
+        return (player.isGrounded || this.coyoteTimer > 0) &&
+            this.cooldownTimer === 0 && !player.traversal.isActive;
+    }
+
+    // Gravity multiplier for this step
+    get gravityScale() {
+        const { apexHang } = this.tuning;
+        if (!apexHang.enabled || !this.isJumping) return 1;
+        if (apexHang.requireHeld && !this.isHeld) return 1;
+        return Math.abs(this.player.velocity.y) < apexHang.threshold ? apexHang.gravityMultiplier : 1;
+    }
+
+    press() {
+        const player = this.player;
+        this.isHeld = true;
+        if (player.isSwimming || player.isDead) return;
+        if (player.traversal.jump()) return; // Wall-jump or mantle
+
+        if (this.canGroundJump) {
+            this.launch(this.tuning.jump.force);
+            player.hasDoubleJump = true;
+        } else if (!player.isGrounded && player.hasDoubleJump && !player.isRolling) {
+            // Double jump with roll
+            this.launch(this.tuning.jump.doubleJumpForce);
+            player.hasDoubleJump = false;
+            player.isRolling = true;
+            player.rollTime = 0;
+        } else if (this.tuning.buffer.enabled) {
+            // Too early - jump as soon as we land
+            this.bufferTimer = this.tuning.buffer.duration;
+        }
+    }
+
+    release() {
+        this.isHeld = false;
+        this.cut();
+    }
+
+    // Let go early and the jump ends lower
+    cut() {
+        if (!this.tuning.variableHeight.enabled || !this.isRising) return;
+        this.player.velocity.y *= this.tuning.variableHeight.releaseMultiplier;
+        this.isRising = false;
+    }
+
+    // Leave the ground (or wall) with an upward velocity
+    launch(velocity) {
+        const player = this.player;
+        player.velocity.y = velocity;
+        player.isGrounded = false;
+        this.isJumping = true;
+        this.isRising = true;
+        this.coyoteTimer = 0;
+        this.bufferTimer = 0;
+        this.cooldownTimer = this.tuning.jump.cooldown;
+    }
+
+    update(deltaTime) {
+        const player = this.player;
+        this.cooldownTimer = Math.max(0, this.cooldownTimer - deltaTime);
+        this.bufferTimer = Math.max(0, this.bufferTimer - deltaTime);
+
+        if (player.isGrounded) {
+            const { coyoteTime } = this.tuning;
+            this.coyoteTimer = coyoteTime.enabled ? coyoteTime.duration : 0;
+            this.isJumping = false;
+            this.isRising = false;
+            player.hasDoubleJump = true;
+        } else {
+            this.coyoteTimer = Math.max(0, this.coyoteTimer - deltaTime);
+        }
+        if (player.velocity.y <= 0) {
+            this.isRising = false;
+        }
+
+        // A press just before landing jumps now
+        if (this.bufferTimer > 0 && this.canGroundJump && !player.isSwimming && !player.isDead) {
+            this.launch(this.tuning.jump.force);
+            player.hasDoubleJump = true;
+            if (!this.isHeld) {
+                this.cut(); // Tapped and let go before landing: a short hop
+            }
+        }
+    }
+
+    // Forget presses and timers, e.g. on respawn
+    reset() {
+        this.isJumping = false;
+        this.isRising = false;
+        this.coyoteTimer = 0;
+        this.bufferTimer = 0;
+    }
+}
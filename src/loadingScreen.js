@@ -0,0 +1,61 @@
+import * as THREE from 'three';
+
+// Full-screen progress bar shown while assets load. Pass its manager to the loaders.
+export class LoadingScreen {
+    constructor(container = document.body) {
+        this.manager = new THREE.LoadingManager();
+
+        const screen = document.createElement('div');
+        screen.style.position = 'fixed';
+        screen.style.inset = '0';
+        screen.style.display = 'flex';
+        screen.style.flexDirection = 'column';
+        screen.style.alignItems = 'center';
+        screen.style.justifyContent = 'center';
+        screen.style.backgroundColor = '#87CEEB';
+        screen.style.color = 'white';
+        screen.style.fontFamily = 'monospace';
+        screen.style.fontSize = '16px';
+        screen.style.textShadow = '0 0 6px rgba(0, 0, 0, 0.5)';
+        screen.style.zIndex = '2000';
+
+        const title = document.createElement('div');
+        title.textContent = 'Loading...';
+        title.style.fontSize = '24px';
+        title.style.marginBottom = '12px';
+        screen.appendChild(title);
+
+        const bar = document.createElement('div');
+        bar.style.width = '300px';
+        bar.style.height = '14px';
+        bar.style.backgroundColor = 'rgba(0, 0, 0, 0.3)';
+        bar.style.border = '1px solid white';
+        bar.style.borderRadius = '3px';
+        bar.style.overflow = 'hidden';
+        this.fill = document.createElement('div');
+        this.fill.style.height = '100%';
+        this.fill.style.width = '0%';
+        this.fill.style.backgroundColor = 'white';
+        bar.appendChild(this.fill);
+        screen.appendChild(bar);
+
+        this.status = document.createElement('div');
+        this.status.style.marginTop = '10px';
+        screen.appendChild(this.status);
+
+        container.appendChild(screen);
+        this.element = screen;
+
+        this.manager.onProgress = (url, loaded, total) => {
+            this.fill.style.width = `${(loaded / total) * 100}%`;
+            this.status.textContent = `${loaded} / ${total}: ${url.slice(url.lastIndexOf('/') + 1)}`;
+        };
+        this.manager.onError = (url) => {
+            this.status.textContent = `Could not load ${url.slice(url.lastIndexOf('/') + 1)}, using a fallback`;
+        };
+    }
+
+    hide() {
+        this.element.remove();
+    }
+}
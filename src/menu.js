@@ -0,0 +1,70 @@
+import * as THREE from 'three';
+
+// A hidden panel centred on the screen, with a title, for an overlay menu
+export function createMenuPanel(title, { titleSize = '18px' } = {}) {
+    const panel = document.createElement('div');
+    panel.style.position = 'fixed';
+    panel.style.top = '50%';
+    panel.style.left = '50%';
+    panel.style.transform = 'translate(-50%, -50%)';
+    panel.style.padding = '20px';
+    panel.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+    panel.style.color = 'white';
+    panel.style.fontFamily = 'monospace';
+    panel.style.fontSize = '14px';
+    panel.style.borderRadius = '5px';
+    panel.style.zIndex = '1001';
+    panel.style.display = 'none';
+
+    const heading = document.createElement('div');
+    heading.textContent = title;
+    heading.style.fontSize = titleSize;
+    heading.style.marginBottom = '10px';
+    panel.appendChild(heading);
+
+    return panel;
+}
+
+// Base for the overlay menus: a panel from createMenuPanel() that opens and closes.
+// Subclasses fill this.element and override onOpen() to refresh what they show.
+// Dispatches 'open' and 'close' events.
+export class Menu extends THREE.EventDispatcher {
+    constructor(container, title, options) {
+        super();
+        this.isOpen = false;
+        this.element = createMenuPanel(title, options);
+        container.appendChild(this.element);
+    }
+
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.fontFamily = 'inherit';
+        button.style.marginRight = '6px';
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    onOpen() {}
+
+    open() {
+        this.isOpen = true;
+        this.onOpen();
+        this.element.style.display = 'block';
+        this.dispatchEvent({ type: 'open' });
+    }
+
+    close() {
+        this.isOpen = false;
+        this.element.style.display = 'none';
+        this.dispatchEvent({ type: 'close' });
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+}
@@ -0,0 +1,58 @@
+import * as THREE from 'three';
+
+const cameraDirection = new THREE.Vector3();
+
+// World-space direction on the ground for movement input (x right, y forward) seen
+// from a camera at cameraYaw, where yaw 0 looks down +Z. Unit length, or zero with
+// no input. Pure, so the mapping can be checked without a camera or a scene.
+export function getWishDirection(cameraYaw, input, target = new THREE.Vector3()) {
+    const forwardX = Math.sin(cameraYaw);
+    const forwardZ = Math.cos(cameraYaw);
+    // The view's right is its forward turned a quarter clockwise seen from above
+    target.set(
+        forwardX * input.y - forwardZ * input.x,
+        0,
+        forwardZ * input.y + forwardX * input.x
+    );
+    return target.lengthSq() > 0 ? target.normalize() : target;
+}
+
+// Yaw of a direction, in the convention of getWishDirection and the character's rotation.y
+export function getYaw(direction) {
+    return Math.atan2(direction.x, direction.z);
+}
+
+export function getDirectionFromYaw(yaw, target = new THREE.Vector3()) {
+    return target.set(Math.sin(yaw), 0, Math.cos(yaw));
+}
+
+// Where the player wants to go this tick. The PlayerController updates it once at the
+// start of each step; movement, slides, dashes, attack lunges and wall-runs all read it.
+export class MovementIntent {
+    constructor() {
+        this.direction = new THREE.Vector3(); // Unit wish direction in world space, zero when idle
+        this.strength = 0;                    // Stick tilt 0-1, always 1 on keyboard
+        this.cameraYaw = 0;
+    }
+
+    get hasInput() {
+        return this.strength > 0;
+    }
+
+    update(camera, input) {
+        camera.getWorldDirection(cameraDirection);
+        this.cameraYaw = getYaw(cameraDirection);
+        this.strength = Math.min(1, input.length());
+        getWishDirection(this.cameraYaw, input, this.direction);
+    }
+
+    clear() {
+        this.direction.set(0, 0, 0);
+        this.strength = 0;
+    }
+
+    // The wish direction, or the way facingYaw points when there's no input
+    getDirection(facingYaw, target = new THREE.Vector3()) {
+        return this.hasInput ? target.copy(this.direction) : getDirectionFromYaw(facingYaw, target);
+    }
+}
@@ -0,0 +1,375 @@
+import * as THREE from 'three';
+
+// Each particle's motion is worked out here from how it started, so the CPU only
+// writes new particles. Linear drag with constant gravity has a closed form:
+//   v(t) = v0 e^(-kt) + g (1 - e^(-kt)) / k
+//   p(t) = p0 + v0 (1 - e^(-kt)) / k + g (t - (1 - e^(-kt)) / k) / k
+// falling back to p0 + v0 t + g t^2 / 2 without drag.
+const ParticleVertexShader = `
+    uniform float time;
+    uniform float pixelHeight;
+    attribute vec3 velocity;
+    attribute float spawnTime;
+    attribute float lifetime;
+    attribute vec2 sizes;       // Start, end
+    attribute vec2 forces;      // Gravity, drag
+    attribute vec3 tint;
+    attribute float opacity;
+    varying vec3 vTint;
+    varying float vAlpha;
+
+    void main() {
+        float age = time - spawnTime;
+        if (age < 0.0 || age >= lifetime) {
+            // Dead or unused slot: outside the clip volume, so nothing is drawn
+            gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+            gl_PointSize = 0.0;
+            return;
+        }
+        float t = age / lifetime;
+        float gravity = forces.x;
+        float drag = forces.y;
+
+        vec3 offset;
+        if (drag > 0.0001) {
+            float decay = (1.0 - exp(-drag * age)) / drag;
+            offset = velocity * decay;
+            offset.y += gravity * (age - decay) / drag;
+        } else {
+            offset = velocity * age;
+            offset.y += 0.5 * gravity * age * age;
+        }
+
+        vTint = tint;
+        vAlpha = opacity * (1.0 - t);
+        vec4 mvPosition = modelViewMatrix * vec4(position + offset, 1.0);
+        // World-space size, shrinking with distance like any other object
+        gl_PointSize = mix(sizes.x, sizes.y, t) * projectionMatrix[1][1] * pixelHeight * 0.5 / -mvPosition.z;
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const ParticleFragmentShader = `
+    varying vec3 vTint;
+    varying float vAlpha;
+
+    void main() {
+        // Soft round blob
+        float fade = smoothstep(0.5, 0.2, length(gl_PointCoord - 0.5));
+        gl_FragColor = vec4(vTint, vAlpha * fade);
+        #include <colorspace_fragment>
+    }
+`;
+
+// Pooled particles drawn in one call as a THREE.Points and moved on the GPU. Each
+// slot holds how a particle started (where, how fast, when, and the forces on it)
+// and the vertex shader works out where it is now from the time uniform, so an
+// update only advances the clock. Slots are a ring buffer: a new particle takes
+// the oldest slot, and only slots written since the last update are uploaded.
+export class ParticleSystem {
+    constructor({ capacity = 1024, blending = THREE.NormalBlending } = {}) {
+        this.capacity = capacity;
+        this.next = 0;                  // Slot the next particle is written to
+        this.time = 0;                  // Seconds of updates so far
+        this.endTime = 0;               // When the last live particle dies
+        this.dirtyStart = -1;           // Slots written since the last upload, as a run
+        this.dirtyCount = 0;            // from dirtyStart that may wrap round the end
+
+        const geometry = new THREE.BufferGeometry();
+        this.attributes = {};
+        for (const [name, itemSize] of [
+            ['position', 3],
+            ['velocity', 3],
+            ['spawnTime', 1],
+            ['lifetime', 1],            // 0 in unused slots, so they're never drawn
+            ['sizes', 2],
+            ['forces', 2],
+            ['tint', 3],
+            ['opacity', 1]
+        ]) {
+            const attribute = new THREE.BufferAttribute(new Float32Array(capacity * itemSize), itemSize)
+                .setUsage(THREE.DynamicDrawUsage);
+            geometry.setAttribute(name, attribute);
+            this.attributes[name] = attribute;
+        }
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: 0 },
+                pixelHeight: { value: 800 }
+            },
+            vertexShader: ParticleVertexShader,
+            fragmentShader: ParticleFragmentShader,
+            transparent: true,
+            depthWrite: false,
+            blending
+        });
+        this.points = new THREE.Points(geometry, this.material);
+        this.points.frustumCulled = false; // Particles are anywhere in the world
+        this.points.visible = false;
+    }
+
+    // Height of the drawing buffer in pixels, so particle sizes are in world units
+    setPixelHeight(height) {
+        this.material.uniforms.pixelHeight.value = height;
+    }
+
+    // Start one particle. Replaces the oldest when every slot is taken.
+    spawn(position, velocity, { lifetime, size, endSize = size, color, opacity = 1, gravity = 0, drag = 0 }) {
+        const i = this.next;
+        this.next = (this.next + 1) % this.capacity;
+        const { attributes } = this;
+        attributes.position.setXYZ(i, position.x, position.y, position.z);
+        attributes.velocity.setXYZ(i, velocity.x, velocity.y, velocity.z);
+        attributes.spawnTime.setX(i, this.time);
+        attributes.lifetime.setX(i, lifetime);
+        attributes.sizes.setXY(i, size, endSize);
+        attributes.forces.setXY(i, gravity, drag);
+        attributes.tint.setXYZ(i, color.r, color.g, color.b);
+        attributes.opacity.setX(i, opacity);
+
+        if (this.dirtyStart === -1) {
+            this.dirtyStart = i;
+        }
+        this.dirtyCount = Math.min(this.dirtyCount + 1, this.capacity);
+        this.endTime = Math.max(this.endTime, this.time + lifetime);
+    }
+
+    // Advance the clock and upload the particles spawned since the last update
+    update(deltaTime) {
+        this.time += deltaTime;
+        this.material.uniforms.time.value = this.time;
+        this.points.visible = this.time < this.endTime;
+        if (this.dirtyCount === 0) return;
+
+        const start = this.dirtyStart;
+        const count = this.dirtyCount;
+        const wrapped = Math.max(0, start + count - this.capacity);
+        for (const attribute of Object.values(this.attributes)) {
+            const size = attribute.itemSize;
+            attribute.addUpdateRange(start * size, (count - wrapped) * size);
+            if (wrapped > 0) {
+                attribute.addUpdateRange(0, wrapped * size);
+            }
+            attribute.needsUpdate = true;
+        }
+        this.dirtyStart = -1;
+        this.dirtyCount = 0;
+    }
+
+    clear() {
+        this.attributes.lifetime.array.fill(0);
+        this.dirtyStart = 0;            // Upload every slot with the next update
+        this.dirtyCount = this.capacity;
+        this.endTime = 0;
+        this.points.visible = false;
+    }
+
+    dispose() {
+        this.points.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+const TrailVertexShader = `
+    attribute float alpha;
+    varying float vAlpha;
+
+    void main() {
+        vAlpha = alpha;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const TrailFragmentShader = `
+    uniform vec3 color;
+    varying float vAlpha;
+
+    void main() {
+        gl_FragColor = vec4(color, vAlpha);
+        #include <colorspace_fragment>
+    }
+`;
+
+// Ribbon swept by a moving segment, like a blade from its base to its tip.
+// The last few segments are joined into a strip that fades out as they age.
+export class Trail {
+    constructor({ samples = 48, lifetime = 0.2, color = 0xffffff, opacity = 0.6 } = {}) {
+        this.samples = samples;
+        this.lifetime = lifetime;
+        this.opacity = opacity;
+        this.history = [];              // { base, tip, age }, newest first
+
+        const positions = new Float32Array(samples * 2 * 3);
+        const alphas = new Float32Array(samples * 2);
+        const indices = [];
+        for (let i = 0; i < samples - 1; i++) {
+            const a = i * 2;
+            indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('alpha', new THREE.BufferAttribute(alphas, 1).setUsage(THREE.DynamicDrawUsage));
+        geometry.setIndex(indices);
+        geometry.setDrawRange(0, 0);
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: { color: { value: new THREE.Color(color) } },
+            vertexShader: TrailVertexShader,
+            fragmentShader: TrailFragmentShader,
+            transparent: true,
+            depthWrite: false,
+            side: THREE.DoubleSide,
+            blending: THREE.AdditiveBlending
+        });
+        this.mesh = new THREE.Mesh(geometry, this.material);
+        this.mesh.frustumCulled = false;
+        this.mesh.visible = false;
+    }
+
+    // Add the segment's latest position
+    add(base, tip) {
+        const sample = this.history.length === this.samples ? this.history.pop() : {
+            base: new THREE.Vector3(),
+            tip: new THREE.Vector3()
+        };
+        sample.base.copy(base);
+        sample.tip.copy(tip);
+        sample.age = 0;
+        this.history.unshift(sample);
+    }
+
+    clear() {
+        this.history.length = 0;
+        this.mesh.visible = false;
+    }
+
+    update(deltaTime) {
+        for (const sample of this.history) {
+            sample.age += deltaTime;
+        }
+        while (this.history.length > 0 && this.history[this.history.length - 1].age >= this.lifetime) {
+            this.history.pop();
+        }
+
+        const geometry = this.mesh.geometry;
+        const positions = geometry.attributes.position;
+        const alphas = geometry.attributes.alpha;
+        this.history.forEach((sample, i) => {
+            const alpha = this.opacity * (1 - sample.age / this.lifetime) * (1 - i / this.samples);
+            positions.setXYZ(i * 2, sample.base.x, sample.base.y, sample.base.z);
+            positions.setXYZ(i * 2 + 1, sample.tip.x, sample.tip.y, sample.tip.z);
+            // The base end fades so the ribbon reads as the tip's path
+            alphas.setX(i * 2, alpha * 0.2);
+            alphas.setX(i * 2 + 1, alpha);
+        });
+        positions.needsUpdate = true;
+        alphas.needsUpdate = true;
+        geometry.setDrawRange(0, Math.max(0, this.history.length - 1) * 6);
+        this.mesh.visible = this.history.length >= 2;
+    }
+
+    dispose() {
+        this.mesh.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+const vertex = new THREE.Vector3();
+
+// Copy of a mesh as posed right now: skinned meshes are baked into plain geometry
+// so the copy keeps the pose after the skeleton moves on
+function bakeGeometry(mesh) {
+    if (!mesh.isSkinnedMesh) return { geometry: mesh.geometry, owned: false };
+
+    const geometry = new THREE.BufferGeometry();
+    const source = mesh.geometry.attributes.position;
+    const positions = new Float32Array(source.count * 3);
+    for (let i = 0; i < source.count; i++) {
+        mesh.getVertexPosition(i, vertex).toArray(positions, i * 3);
+    }
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    if (mesh.geometry.index) {
+        geometry.setIndex(mesh.geometry.index);
+    }
+    return { geometry, owned: true };
+}
+
+// Fading see-through copies of a set of meshes, e.g. afterimages left along a dash.
+// The ghost groups and their materials are pooled; their meshes share the source's
+// geometry apart from baked skinned meshes.
+export class Afterimages {
+    constructor(scene, { poolSize = 8 } = {}) {
+        this.scene = scene;
+        this.pool = [];
+        this.active = [];
+        for (let i = 0; i < poolSize; i++) {
+            const group = new THREE.Group();
+            group.visible = false;
+            scene.add(group);
+            this.pool.push({
+                group,
+                material: new THREE.MeshBasicMaterial({
+                    transparent: true,
+                    depthWrite: false,
+                    blending: THREE.AdditiveBlending
+                }),
+                geometries: [],
+                age: 0,
+                lifetime: 1,
+                opacity: 1
+            });
+        }
+    }
+
+    // Snapshot meshes as they're posed now, moved by offset, fading over lifetime.
+    // Drawn or not: a character blinking while invulnerable still leaves afterimages.
+    spawn(meshes, offset, { lifetime, color, opacity }) {
+        const ghost = this.pool.pop();
+        if (!ghost) return;
+
+        ghost.material.color.set(color);
+        ghost.material.opacity = opacity;
+        for (const source of meshes) {
+            source.updateWorldMatrix(true, false);
+            const { geometry, owned } = bakeGeometry(source);
+            if (owned) {
+                ghost.geometries.push(geometry);
+            }
+            const mesh = new THREE.Mesh(geometry, ghost.material);
+            mesh.matrixAutoUpdate = false;
+            mesh.matrix.copy(source.matrixWorld);
+            mesh.matrix.elements[12] += offset.x;
+            mesh.matrix.elements[13] += offset.y;
+            mesh.matrix.elements[14] += offset.z;
+            ghost.group.add(mesh);
+        }
+
+        ghost.age = 0;
+        ghost.lifetime = lifetime;
+        ghost.opacity = opacity;
+        ghost.group.visible = true;
+        this.active.push(ghost);
+    }
+
+    update(deltaTime) {
+        for (let i = this.active.length - 1; i >= 0; i--) {
+            const ghost = this.active[i];
+            ghost.age += deltaTime;
+            if (ghost.age < ghost.lifetime) {
+                ghost.material.opacity = ghost.opacity * (1 - ghost.age / ghost.lifetime);
+                continue;
+            }
+
+            // Back to the pool
+            ghost.group.clear();
+            ghost.group.visible = false;
+            for (const geometry of ghost.geometries) {
+                geometry.dispose();
+            }
+            ghost.geometries.length = 0;
+            this.active.splice(i, 1);
+            this.pool.push(ghost);
+        }
+    }
+}
@@ -0,0 +1,81 @@
+import { Menu } from './menu.js';
+
+// Pause menu with Resume and buttons for the other menus. A menu opened from here
+// covers it and comes back to it on close, as does a menu opened from that one.
+// Dispatches 'open' and 'close' events.
+export class PauseMenu extends Menu {
+    constructor(container = document.body, input, { settingsMenu, controlsMenu, saveMenu }) {
+        super(container, 'Paused', { titleSize: '24px' });
+        this.input = input;
+        this.menus = [settingsMenu, controlsMenu, saveMenu];
+        this.stack = [];                // Menus opened from here, topmost last
+
+        const panel = this.element;
+        panel.style.textAlign = 'center';
+
+        panel.appendChild(this.createButton('Resume', () => this.close()));
+        panel.appendChild(this.createButton('Settings', () => this.openSubmenu(settingsMenu)));
+        panel.appendChild(this.createButton('Controls', () => this.openSubmenu(controlsMenu)));
+        panel.appendChild(this.createButton('Save / Load', () => this.openSubmenu(saveMenu)));
+
+        for (const menu of this.menus) {
+            menu.addEventListener('close', () => this.onSubmenuClosed(menu));
+        }
+
+        this.input.addEventListener('press', (event) => {
+            if (event.action === 'pause') this.onPausePressed();
+        });
+    }
+
+    // Buttons stacked one per line
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.fontFamily = 'inherit';
+        button.style.display = 'block';
+        button.style.width = '160px';
+        button.style.margin = '6px auto';
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // Escape backs out of the topmost menu, or pauses
+    onPausePressed() {
+        const openMenu = this.stack.at(-1) ?? this.menus.find(menu => menu.isOpen);
+        if (openMenu) {
+            openMenu.close();
+        } else if (document.pointerLockElement) {
+            // Releasing the mouse pauses the game (see Game), and the browser already
+            // releases it on Escape; this covers the gamepad's Start button
+            document.exitPointerLock();
+        } else {
+            this.toggle();
+        }
+    }
+
+    // Open a menu on top of this one, or of the menu on top
+    openSubmenu(menu) {
+        const covered = this.stack.at(-1) ?? this;
+        covered.element.style.display = 'none';
+        this.stack.push(menu);
+        menu.open();
+    }
+
+    onSubmenuClosed(menu) {
+        const index = this.stack.indexOf(menu);
+        if (index === -1) return;
+        this.stack.splice(index);
+        const uncovered = this.stack.at(-1) ?? this;
+        if (uncovered.isOpen) {
+            uncovered.element.style.display = 'block';
+        }
+    }
+
+    close() {
+        // Close everything opened from here first
+        while (this.stack.length > 0) {
+            this.stack.at(-1).close();
+        }
+        super.close();
+    }
+}
@@ -0,0 +1,619 @@
+import * as THREE from 'three';
+import { Animator } from './animation.js';
+import { PlayerAnimationGraph, StrideFrequencies } from './playerAnimations.js';
+import { Traversal } from './traversal.js';
+import { JumpController } from './jumpController.js';
+import { MovementIntent, getYaw } from './movementIntent.js';
+
+// Player movement: input state, physics, traversal moves, health and stamina.
+// Has no DOM dependencies so it can be stepped headless.
+// Dispatches 'damage', 'death' and 'respawn' events, and 'footstep', 'land', 'dash'
+// and 'slide' for sounds and effects.
+export class PlayerController extends THREE.EventDispatcher {
+    constructor({ rig, camera, gameClock, jumpTuning = {} }) {
+        super();
+        this.rig = rig;
+        this.character = rig.root;
+        this.camera = camera;           // Movement is relative to the camera's facing
+        this.gameClock = gameClock;
+
+        // Physics - forces and speeds are applied once per fixed simulation step
+        this.velocity = new THREE.Vector3();
+        this.gravity = -0.0015;  // Reduced from -0.005 for longer hang time
+        this.dashForce = 0.15;   // Reduced from 1.2 to be 2.5x sprint speed
+        this.slideForce = 0.8;
+        this.isGrounded = true;
+        this.terrain = null;            // Terrain, set from the world (flat ground at 0 without one)
+        this.water = null;              // Water, set from the world
+        this.groundNormal = new THREE.Vector3(0, 1, 0);
+        this.groundSnapDistance = 0.25; // Stay grounded walking down slopes, fall off bigger drops
+        this.maxSlopeAngle = THREE.MathUtils.degToRad(40); // Steeper ground can't be walked up
+        this.slopeSpeedPenalty = 0.5;   // Uphill slowdown at the steepest walkable slope
+        this.slideSlopeAcceleration = 0.02; // Slides speed up downhill and slow down uphill
+        this.wadeDepth = 0.6;           // Water deeper than this slows us down
+        this.swimDepth = 1.4;           // Water deeper than this and we swim
+        this.swimExitMargin = 0.3;      // Depth below swimDepth where we stand up again
+        this.swimSpeedMultiplier = 0.5;
+        this.isSwimming = false;
+        this.collision = null;          // CollisionWorld, set from the world
+        this.collisionRadius = 0.3;     // Player capsule
+        this.collisionHeight = 2.0;
+        this.friction = 0.95;
+        this.airFriction = 0.99;
+        this.isSliding = false;
+        this.canSlide = true;
+        this.slideCooldown = 0;
+        this.canDash = true;
+        this.isDashing = false;
+        this.dashStartTime = 0;
+        this.dashCooldown = 0;
+        this.dashDuration = 0.3;        // Seconds spent in the dash state
+        this.dashCooldownTime = 0.3;    // Seconds after the dash before dashing again
+        this.dashDecayStartTime = null; // Game time of the last dash
+        this.dashDecayDuration = 4;     // 4 seconds before speed starts decaying
+        this.dashDecayTime = 2;         // Seconds to decay back to normal speed
+        this.dashSpeedRetained = 0;     // Store the speed we want to maintain
+        this.isWallRunning = false;
+        this.isHanging = false;         // Holding on to a ledge
+        this.isMantling = false;        // Climbing up over a ledge
+        this.stepHeight = 0.1;          // Obstacle tops this close above our feet count as ground
+        this.hasDoubleJump = true;  // Track if double jump is available
+        this.isRolling = false;     // Track if doing aerial roll
+        this.rollTime = 0;          // Track roll animation progress
+        this.rollDuration = 0.5;    // Roll animation duration in seconds
+
+        // Health and stamina
+        this.maxHealth = 100;
+        this.health = this.maxHealth;
+        this.maxStamina = 100;
+        this.stamina = this.maxStamina;
+        this.staminaRegenRate = 25;     // Per second
+        this.staminaRegenDelay = 0.8;   // Seconds after spending stamina before it refills
+        this.sprintStaminaCost = 15;    // Per second of sprinting
+        this.staminaCosts = { dash: 20, slide: 15 }; // Attack costs come from the weapon
+        this.exhaustedRecovery = 30;    // After running dry, sprinting waits for this much stamina
+        this.isExhausted = false;
+        this.lastStaminaUseTime = -Infinity;
+        this.invulnerabilityTime = 0.8; // Seconds of invulnerability after a hit
+        this.invulnerableUntil = 0;     // Game time
+        this.lastDamageTime = -Infinity;
+        this.knockbackForce = 0.15;     // Horizontal momentum from a hit
+        this.knockbackLift = 0.04;      // Upward velocity from a hit
+        this.isDead = false;
+        this.respawnDelay = 3;          // Seconds
+        this.respawnTask = null;        // Pending respawn while dead
+        this.spawnPoint = new THREE.Vector3();
+
+        // Movement constants
+        this.maxWalkSpeed = 0.03;      // Very slow walk
+        this.maxRunSpeed = 0.06;       // Very slow run
+        this.acceleration = 0.005;      // Reduced from 0.01 for smoother acceleration
+        this.deceleration = 0.95;
+        this.airControl = 0.4;
+        this.maxAcceleration = 0.008;   // Maximum acceleration per frame
+
+        // Movement
+        this.intent = new MovementIntent(); // Camera-relative wish direction, updated every step
+        this.rotationAngle = 0;
+        this.walkingSpeed = 0;
+
+        // Movement states and properties
+        this.moveSpeed = 0.15;
+        this.sprintSpeed = 0.25;
+        this.slideSpeed = 0.35;
+        this.momentum = new THREE.Vector3();
+        this.slideTime = 0;
+        this.maxSlideTime = 0.8; // Slightly shorter slide
+        this.maxSlideCooldown = 0.3; // Shorter cooldown
+        this.characterState = 'idle'; // Current animation state, picked by the animator
+        this.footstepState = null;      // Stepping state and stride count at the last step
+        this.footstepIndex = 0;
+        this.animator = new Animator(rig, PlayerAnimationGraph);
+        this.traversal = new Traversal(this);
+        this.jumpController = new JumpController(this, jumpTuning); // Jump forces and feel
+
+        // Held buttons; direction comes from moveInput
+        this.keys = {
+            shift: false,
+            ctrl: false  // slide key
+        };
+
+        // Analog movement input, x right and y forward, length 0..1
+        this.moveInput = new THREE.Vector2();
+    }
+
+    // Jump button pressed: a jump from the ground, a rolling double jump in the air,
+    // a wall-jump or a mantle. Held longer, ground jumps go higher.
+    jump() {
+        this.jumpController.press();
+    }
+
+    releaseJump() {
+        this.jumpController.release();
+    }
+
+    // Advance movement physics by one fixed step and pose the rig
+    update(deltaTime, elapsedTime) {
+        const time = elapsedTime * 3;
+        const speed = this.momentum.length();
+
+        // Which way the player wants to go, worked out once for everything that moves us
+        if (this.isDead) {
+            this.intent.clear();
+        } else {
+            this.intent.update(this.camera, this.moveInput);
+        }
+
+        // Buffered jumps, coyote time and landing refresh the double jump
+        this.jumpController.update(deltaTime);
+
+        // Swim when the water is too deep to stand in
+        const groundHeight = this.getGroundHeight();
+        const waterDepth = this.getWaterDepth(groundHeight);
+        const floatHeight = groundHeight + waterDepth - this.swimDepth;
+        const wasSwimming = this.isSwimming;
+        // Once swimming, keep swimming until it is clearly shallow enough to stand
+        const swimDepth = wasSwimming ? this.swimDepth - this.swimExitMargin : this.swimDepth;
+        this.isSwimming = waterDepth > swimDepth && this.character.position.y <= floatHeight + 0.1;
+
+        if (wasSwimming && !this.isSwimming) {
+            // Find our feet again - followGround drops us if the bottom is still far below
+            this.isGrounded = true;
+        }
+
+        if (this.isSwimming) {
+            // Float at the surface instead of falling
+            this.character.position.y += (floatHeight - this.character.position.y) * 0.1;
+            this.velocity.y = 0;
+            this.isGrounded = false;
+            this.isRolling = false;
+            this.hasDoubleJump = true;
+            if (this.isSliding) {
+                this.cancelSlide();
+            }
+            this.traversal.cancel();
+        } else if (!this.isDead && this.traversal.update(deltaTime)) {
+            // Wall-running, hanging or mantling moved us instead of gravity
+        } else if (!this.isGrounded) {
+            // Apply gravity and update position, lighter at the top of a held jump
+            this.velocity.y += this.gravity * this.jumpController.gravityScale;
+            this.character.position.y += this.velocity.y;
+
+            // Update roll animation
+            if (this.isRolling) {
+                this.rollTime += deltaTime;
+                if (this.rollTime >= this.rollDuration) {
+                    this.isRolling = false;
+                }
+            }
+        }
+
+        // Animation graph picks and blends the state's pose
+        this.animator.update(deltaTime, {
+            time,
+            speed,
+            isSwimming: this.isSwimming,
+            isGrounded: this.isGrounded,
+            isRolling: this.isRolling,
+            isSliding: this.isSliding,
+            isDashing: this.isDashing,
+            isSprinting: this.isSprinting,
+            isDead: this.isDead,
+            isWallRunning: this.isWallRunning,
+            isHanging: this.isHanging,
+            isMantling: this.isMantling,
+            wallSide: this.traversal.wallSide,
+            mantleProgress: this.traversal.mantleProgress,
+            rollProgress: this.rollTime / this.rollDuration,
+            jumpProgress: Math.max(0, Math.min(1, this.velocity.y / this.jumpController.tuning.jump.force)),
+            slideProgress: this.slideTime / this.maxSlideTime,
+            dashProgress: Math.min((this.gameClock.time - this.dashStartTime) / this.dashDuration, 1)
+        });
+        this.characterState = this.animator.state;
+        this.updateFootsteps(time);
+
+        // Update character rotation based on movement direction
+        if (this.momentum.lengthSq() > 0.001) {
+            const targetRotation = getYaw(this.momentum);
+            this.character.rotation.y = this.smoothAngle(
+                this.character.rotation.y,
+                targetRotation,
+                0.15
+            );
+        }
+
+        // Update slide mechanics
+        if (this.slideCooldown > 0) {
+            this.slideCooldown -= deltaTime;
+            if (this.slideCooldown <= 0) {
+                this.canSlide = true;
+            }
+        }
+
+        // Handle sliding movement
+        if (this.traversal.isActive) {
+            // Traversal moves the character itself
+        } else if (this.isSliding) {
+            this.slideTime += deltaTime;
+            if (this.slideTime >= this.maxSlideTime) {
+                this.cancelSlide();
+            }
+
+            // Gravity speeds the slide up downhill and drags it uphill
+            this.momentum.x += this.groundNormal.x * this.slideSlopeAcceleration;
+            this.momentum.z += this.groundNormal.z * this.slideSlopeAcceleration;
+
+            const slideDecay = 1 - (this.slideTime / this.maxSlideTime);
+            this.character.position.add(
+                this.momentum.clone().multiplyScalar(slideDecay)
+            );
+        } else {
+            // Normal movement
+            if (this.intent.hasInput) {
+                const movement = this.intent.direction.clone();
+
+                // Calculate target speed based on current state
+                let targetSpeed = (this.isSprinting ? this.maxRunSpeed : this.maxWalkSpeed) * this.intent.strength;
+
+                // Check if we're in the dash speed retention period
+                if (this.dashDecayStartTime !== null) {
+                    const timeSinceDash = this.gameClock.time - this.dashDecayStartTime;
+                    if (timeSinceDash < this.dashDecayDuration) {
+                        // During retention period, maintain dash speed
+                        targetSpeed = this.dashSpeedRetained;
+                    } else {
+                        // After retention period, gradually decay speed
+                        const decayProgress = Math.min(1, (timeSinceDash - this.dashDecayDuration) / this.dashDecayTime);
+                        targetSpeed = this.dashSpeedRetained * (1 - decayProgress) + 
+                                    (this.isSprinting ? this.maxRunSpeed : this.maxWalkSpeed) * decayProgress;
+                    }
+                }
+
+                targetSpeed = this.adjustMovementForTerrain(movement, targetSpeed);
+                movement.multiplyScalar(targetSpeed);
+
+                // Calculate current speed and direction
+                const currentSpeed = this.momentum.length();
+                
+                // Calculate acceleration based on speed difference
+                const speedDiff = targetSpeed - currentSpeed;
+                const accelerationThisFrame = Math.min(
+                    Math.abs(speedDiff),
+                    this.maxAcceleration
+                ) * Math.sign(speedDiff);
+
+                // Apply smoother acceleration
+                const lerpFactor = Math.min(
+                    0.05 + Math.abs(accelerationThisFrame) * 2,
+                    this.isGrounded ? 0.15 : 0.08
+                );
+
+                this.momentum.lerp(movement, lerpFactor);
+                
+                this.character.position.add(this.momentum);
+
+                // Update character rotation to face movement direction
+                if (this.momentum.lengthSq() > 0.00001) {
+                    const targetRotation = getYaw(this.momentum);
+                    this.character.rotation.y = this.smoothAngle(
+                        this.character.rotation.y,
+                        targetRotation,
+                        0.15
+                    );
+                }
+            } else {
+                // Only apply deceleration if we're not in the dash retention period
+                if (this.dashDecayStartTime === null ||
+                    (this.gameClock.time - this.dashDecayStartTime) >= this.dashDecayDuration) {
+                    const deceleration = this.isGrounded ? 0.98 : 0.995;
+                    this.momentum.multiplyScalar(deceleration);
+                }
+            }
+        }
+
+        this.resolveCollisions();
+        this.followGround();
+        this.updateStamina(deltaTime);
+
+        // Blink while invulnerable
+        this.character.visible = this.isDead || !this.isInvulnerable ||
+            Math.floor(this.gameClock.time * 15) % 2 === 0;
+    }
+
+    // Dispatch 'footstep' each time a foot comes down in a stepping animation
+    updateFootsteps(time) {
+        const state = this.characterState;
+        const frequency = StrideFrequencies[state];
+        if (!frequency || (!this.isGrounded && !this.isWallRunning)) {
+            this.footstepState = null;
+            return;
+        }
+
+        const step = Math.floor(time * frequency / Math.PI + 0.5);
+        // Changing gait changes the stride count, so only count steps within one
+        if (state === this.footstepState && step !== this.footstepIndex) {
+            this.dispatchEvent({ type: 'footstep', foot: step % 2 === 0 ? 'left' : 'right', state });
+        }
+        this.footstepState = state;
+        this.footstepIndex = step;
+    }
+
+    // Sprinting held down, unless out of stamina
+    get isSprinting() {
+        return this.keys.shift && !this.isExhausted && !this.isDead;
+    }
+
+    get isInvulnerable() {
+        return this.gameClock.time < this.invulnerableUntil;
+    }
+
+    // Spend stamina on an action. Returns false, spending nothing, if there isn't enough.
+    useStamina(amount) {
+        if (this.stamina < amount) return false;
+        this.stamina -= amount;
+        this.lastStaminaUseTime = this.gameClock.time;
+        return true;
+    }
+
+    // Drain stamina while sprinting, refill it after a short rest
+    updateStamina(deltaTime) {
+        const now = this.gameClock.time;
+        if (this.characterState === 'sprinting') {
+            this.stamina = Math.max(0, this.stamina - this.sprintStaminaCost * deltaTime);
+            this.lastStaminaUseTime = now;
+            if (this.stamina === 0) {
+                this.isExhausted = true;
+            }
+        } else if (now - this.lastStaminaUseTime >= this.staminaRegenDelay) {
+            this.stamina = Math.min(this.maxStamina, this.stamina + this.staminaRegenRate * deltaTime);
+        }
+
+        if (this.isExhausted && this.stamina >= this.exhaustedRecovery) {
+            this.isExhausted = false;
+        }
+    }
+
+    // Take a hit from direction (pointing away from the attacker).
+    // Ignored while dashing, invulnerable or dead; returns whether it landed.
+    takeDamage(amount, direction = new THREE.Vector3()) {
+        if (this.isDead || this.isDashing || this.isInvulnerable) return false;
+
+        this.health = Math.max(0, this.health - amount);
+        this.lastDamageTime = this.gameClock.time;
+        this.invulnerableUntil = this.gameClock.time + this.invulnerabilityTime;
+
+        // Knock the player back, off any wall or ledge
+        if (this.isSliding) {
+            this.cancelSlide();
+        }
+        this.traversal.cancel();
+        this.momentum.addScaledVector(direction, this.knockbackForce);
+        if (!this.isSwimming) {
+            this.velocity.y = this.knockbackLift;
+            this.isGrounded = false;
+        }
+
+        this.dispatchEvent({ type: 'damage', amount, direction });
+        if (this.health === 0) {
+            this.die();
+        }
+        return true;
+    }
+
+    die() {
+        this.isDead = true;
+        this.isSliding = false;
+        this.traversal.cancel();
+        this.momentum.set(0, 0, 0);
+        this.dispatchEvent({ type: 'death' });
+        this.respawnTask = this.gameClock.after(this.respawnDelay, () => this.respawn());
+    }
+
+    // Back on our feet at the spawn point with full health and stamina
+    respawn() {
+        this.placeAt(this.spawnPoint);
+        this.character.position.y = this.getGroundHeight();
+        this.isGrounded = true;
+
+        this.health = this.maxHealth;
+        this.stamina = this.maxStamina;
+        this.isExhausted = false;
+        this.invulnerableUntil = this.gameClock.time + this.invulnerabilityTime * 2; // Grace period
+        this.dispatchEvent({ type: 'respawn' });
+    }
+
+    // Move the character straight to position, alive, at rest and off any slide, wall
+    // or ledge. For respawning and restoring saves.
+    placeAt(position, rotation = this.character.rotation.y) {
+        this.respawnTask?.cancel();
+        this.respawnTask = null;
+        this.character.position.copy(position);
+        this.character.rotation.y = rotation;
+        this.velocity.set(0, 0, 0);
+        this.momentum.set(0, 0, 0);
+        this.isDead = false;
+        this.isSliding = false;
+        this.isSwimming = false;
+        this.isRolling = false;
+        this.traversal.cancel();
+        this.jumpController.reset();
+    }
+
+    // Terrain height under us, or the top of an obstacle we're standing on
+    getGroundHeight() {
+        const position = this.character.position;
+        const terrainHeight = this.terrain ? this.terrain.getHeight(position.x, position.z) : 0;
+        if (!this.collision) return terrainHeight;
+
+        const top = this.collision.getTopBelow(
+            position.x, position.z, this.collisionRadius * 0.5, position.y + this.stepHeight
+        );
+        return Math.max(terrainHeight, top);
+    }
+
+    // How deep the water is over the ground (negative on dry land)
+    getWaterDepth(groundHeight) {
+        if (!this.water) return -Infinity;
+        const position = this.character.position;
+        return this.water.getHeight(position.x, position.z) - groundHeight;
+    }
+
+    // Land on, stick to or fall off the terrain after moving
+    followGround() {
+        const position = this.character.position;
+        const groundHeight = this.getGroundHeight();
+
+        if (this.terrain && groundHeight <= this.terrain.getHeight(position.x, position.z)) {
+            this.terrain.getNormal(position.x, position.z, this.groundNormal);
+        } else {
+            this.groundNormal.set(0, 1, 0); // Flat on top of an obstacle
+        }
+
+        if (this.isSwimming) return;
+
+        if (!this.isGrounded) {
+            // Check for ground collision
+            if (position.y <= groundHeight) {
+                position.y = groundHeight;
+                this.dispatchEvent({ type: 'land', impact: -this.velocity.y });
+                this.velocity.y = 0;
+                this.isGrounded = true;
+                this.isRolling = false;  // End roll when landing
+            }
+        } else if (position.y - groundHeight > this.groundSnapDistance) {
+            // Walked off a drop
+            this.isGrounded = false;
+        } else {
+            // Follow the terrain up and down slopes
+            position.y = groundHeight;
+        }
+    }
+
+    // Slow down uphill and in water, and stop at slopes too steep to climb.
+    // May change movement's direction; returns the adjusted target speed.
+    adjustMovementForTerrain(movement, targetSpeed) {
+        if (this.isSwimming) {
+            return targetSpeed * this.swimSpeedMultiplier;
+        }
+
+        // The horizontal part of the ground normal points downhill
+        const downhill = new THREE.Vector3(this.groundNormal.x, 0, this.groundNormal.z);
+        const steepness = downhill.length(); // Sine of the slope angle
+        if (this.isGrounded && steepness > 0.001) {
+            downhill.divideScalar(steepness);
+            const uphill = -movement.dot(downhill);
+            if (uphill > 0) {
+                if (steepness > Math.sin(this.maxSlopeAngle)) {
+                    // Too steep - only move across the slope
+                    movement.addScaledVector(downhill, uphill);
+                } else {
+                    const slope = steepness / Math.sin(this.maxSlopeAngle);
+                    targetSpeed *= 1 - uphill * slope * this.slopeSpeedPenalty;
+                }
+            }
+        }
+
+        // Wading through shallow water
+        const waterDepth = this.getWaterDepth(this.getGroundHeight());
+        if (waterDepth > this.wadeDepth) {
+            const wade = Math.min(1, (waterDepth - this.wadeDepth) / (this.swimDepth - this.wadeDepth));
+            targetSpeed *= THREE.MathUtils.lerp(1, this.swimSpeedMultiplier, wade);
+        }
+
+        return targetSpeed;
+    }
+
+    // Push the player's capsule out of obstacles and slide along them
+    resolveCollisions() {
+        if (!this.collision) return;
+
+        const normals = this.collision.resolveCapsule(
+            this.character.position,
+            this.collisionRadius,
+            this.collisionHeight
+        );
+
+        // Drop the part of momentum going into walls so we slide instead of sticking
+        for (const normal of normals) {
+            const into = this.momentum.dot(normal);
+            if (into < 0) {
+                this.momentum.addScaledVector(normal, -into);
+            }
+        }
+    }
+
+    // Helper function for smooth angle interpolation
+    smoothAngle(current, target, smoothFactor) {
+        let delta = target - current;
+        
+        // Ensure we rotate the shortest direction
+        if (delta > Math.PI) delta -= Math.PI * 2;
+        if (delta < -Math.PI) delta += Math.PI * 2;
+        
+        return current + delta * smoothFactor;
+    }
+
+    startSlide() {
+        // Remove sprint requirement for sliding
+        if (!this.canSlide || this.isSliding || this.isSwimming || this.isDead || this.traversal.isActive) return;
+        if (!this.useStamina(this.staminaCosts.slide)) return;
+        
+        this.isSliding = true;
+        this.slideTime = 0;
+        this.canSlide = false;
+        
+        // Slide the way we're heading, or straight ahead without input
+        this.intent.getDirection(this.character.rotation.y, this.momentum);
+        this.momentum.multiplyScalar(this.slideSpeed);
+        this.dispatchEvent({ type: 'slide' });
+    }
+
+    cancelSlide() {
+        this.isSliding = false;
+        this.slideCooldown = this.maxSlideCooldown;
+        this.momentum.multiplyScalar(0.5); // Maintain some momentum after canceling
+    }
+
+    performDash() {
+        if (!this.canDash || this.isDead || this.isHanging || this.isMantling) return;
+        if (!this.useStamina(this.staminaCosts.dash)) return;
+        this.traversal.cancel(); // Dash off the wall
+
+        this.canDash = false;
+        this.isDashing = true;
+        this.dashStartTime = this.gameClock.time;
+        this.dashDecayStartTime = this.gameClock.time;
+        
+        // Dash the way we're heading, or the way we face without input
+        const dashDirection = this.intent.getDirection(this.character.rotation.y);
+        const dashStart = this.character.position.clone();
+
+        // Calculate dash distance and apply it immediately
+        // Move in short sub-steps so we can't tunnel through trunks
+        const dashDistance = 2.0; // Units to dash
+        const dashSteps = Math.ceil(dashDistance / this.collisionRadius);
+        for (let i = 0; i < dashSteps; i++) {
+            this.character.position.addScaledVector(dashDirection, dashDistance / dashSteps);
+            this.resolveCollisions();
+        }
+
+        // Set a smaller momentum in dash direction for follow-through
+        const baseSpeed = this.isSprinting ? this.maxRunSpeed : this.maxWalkSpeed;
+        const dashSpeed = baseSpeed * 1.5; // Reduced follow-through speed
+        this.momentum.copy(dashDirection).multiplyScalar(dashSpeed);
+
+        // Store the dash speed for decay
+        this.dashSpeedRetained = dashSpeed;
+
+        // Add slight upward force to dash
+        this.velocity.y = this.isGrounded ? 0.05 : 0.1;
+        this.dispatchEvent({ type: 'dash', direction: dashDirection, from: dashStart });
+
+        this.gameClock.after(this.dashDuration, () => {
+            this.isDashing = false;
+            this.gameClock.after(this.dashCooldownTime, () => {
+                this.canDash = true;
+            });
+        });
+    }
+}
@@ -0,0 +1,315 @@
+import { UpperBodyJoints, keyframeClip } from './animation.js';
+
+// Leg cycles per unit of params.time for the states that take steps. A foot comes
+// down at each peak of sin(time * frequency), which footstep sounds follow.
+export const StrideFrequencies = {
+    walking: 3.0,
+    sprinting: 3.6,
+    wallRunning: 4.2
+};
+
+// Climbing over a ledge, sampled by progress: pull up on straight arms, knee up
+// onto the top, then push up to standing
+const MantleClip = keyframeClip({
+    duration: 1,
+    keyframes: [
+        { time: 0, pose: {
+            leftArm: { x: -2.9 }, rightArm: { x: -2.9 },
+            leftThigh: { x: -0.2 }, rightThigh: { x: -0.2 }
+        } },
+        { time: 0.4, pose: {
+            torso: { x: 0.5 }, head: { x: -0.3 },
+            leftArm: { x: -0.6, z: 0.3 }, rightArm: { x: -0.6, z: -0.3 },
+            leftThigh: { x: -1.6 }, leftShin: { x: 2.0 },
+            rightThigh: { x: -0.3 }, rightShin: { x: 0.4 }
+        } },
+        { time: 0.7, pose: {
+            torso: { x: 0.6 },
+            leftArm: { x: 0.3, z: 0.3 }, rightArm: { x: 0.3, z: -0.3 },
+            leftThigh: { x: -1.0 }, leftShin: { x: 1.2 },
+            rightThigh: { x: -1.2 }, rightShin: { x: 1.8 }
+        } },
+        { time: 1, pose: {
+            torso: { x: 0.1 },
+            leftThigh: { x: -0.1 }, rightThigh: { x: -0.1 },
+            leftShin: { x: 0.2 }, rightShin: { x: 0.2 }
+        } }
+    ]
+});
+
+// Pose functions for each player state.
+// params: { time, rollProgress, jumpProgress, slideProgress, dashProgress, ... }
+export const PlayerPoses = {
+    rolling(pose, params) {
+        const rollProgress = params.rollProgress;
+        const rollAngle = (Math.PI * 2 * rollProgress) % (Math.PI * 2);  // Full 360-degree rotation
+
+        // Curl factor increases then decreases during roll
+        const curlProgress = Math.sin(rollProgress * Math.PI); // 0 -> 1 -> 0
+
+        // Curl legs up tight towards chest
+        pose.leftThigh.x = -2.0 * curlProgress;  // Legs curl up tighter
+        pose.rightThigh.x = -2.0 * curlProgress;
+        pose.leftShin.x = 2.4 * curlProgress;   // Knees bend more
+        pose.rightShin.x = 2.4 * curlProgress;
+
+        // Arms wrap around legs
+        pose.leftArm.x = -2.2 * curlProgress;  // Arms wrap further
+        pose.rightArm.x = -2.2 * curlProgress;
+        pose.leftArm.z = 1.0 * curlProgress;   // Arms hug inward
+        pose.rightArm.z = -1.0 * curlProgress;
+
+        // Torso curls forward while the whole body turns over
+        pose.torso.x = 0.8 * curlProgress + rollAngle; // Base curl plus rotation
+
+        // Head tucks in
+        pose.head.x = -0.8 * curlProgress; // Tuck chin to chest
+    },
+
+    swimming(pose, params) {
+        // Treading water
+        const stroke = params.time * 1.5;
+
+        // Upright with a slight lean, chest at the surface
+        pose.torso.x = 0.2;
+        pose.torso.y = Math.sin(stroke) * 0.05;
+
+        // Arms sweep out and back in
+        pose.leftArm.x = -0.6;
+        pose.rightArm.x = -0.6;
+        pose.leftArm.z = 0.8 + Math.sin(stroke) * 0.4;
+        pose.rightArm.z = -0.8 - Math.sin(stroke) * 0.4;
+
+        // Legs kick alternately
+        pose.leftThigh.x = -0.3 + Math.sin(stroke * 2) * 0.4;
+        pose.rightThigh.x = -0.3 - Math.sin(stroke * 2) * 0.4;
+        pose.leftShin.x = 0.6;
+        pose.rightShin.x = 0.6;
+    },
+
+    jumping(pose, params) {
+        const jumpProgress = params.jumpProgress;
+
+        // Legs bend up during jump
+        pose.leftThigh.x = -0.6 * jumpProgress;
+        pose.rightThigh.x = -0.6 * jumpProgress;
+        pose.leftShin.x = 1.2 * jumpProgress;
+        pose.rightShin.x = 1.2 * jumpProgress;
+
+        // Arms raise up during jump
+        pose.leftArm.x = -0.8 * jumpProgress;
+        pose.rightArm.x = -0.8 * jumpProgress;
+        pose.leftArm.z = 0.3 * jumpProgress;
+        pose.rightArm.z = -0.3 * jumpProgress;
+
+        // Slight forward lean
+        pose.torso.x = 0.2 * jumpProgress;
+    },
+
+    idle(pose, params) {
+        // Subtle breathing animation
+        const breatheAmp = 0.005;
+        const breatheSpeed = 1.5;
+
+        // Torso subtle forward lean and breathing
+        pose.torso.x = 0.1; // Slight combat-ready hunch
+        pose.torso.y = Math.sin(params.time * breatheSpeed) * breatheAmp;
+
+        // Slightly bent knees in ready stance
+        pose.leftThigh.x = -0.1;  // Slight bend at hip
+        pose.rightThigh.x = -0.1;
+        pose.leftShin.x = 0.2;   // Compensating bend at knee
+        pose.rightShin.x = 0.2;
+
+        // Subtle arm positioning - pivot from the shoulder to prevent clipping
+        pose.leftArm.x = -0.1;
+        pose.rightArm.x = -0.1;
+        pose.leftArm.y = 0.4;
+        pose.rightArm.y = -0.4;  // Negative for right arm to mirror the left
+    },
+
+    walking(pose, params) {
+        const walkSpeed = StrideFrequencies.walking;
+        const walkAmp = 0.3;
+        const kneeAmp = 0.4;  // Additional bend for knees
+        const phase = Math.sin(params.time * walkSpeed);
+
+        // Leg movement
+        pose.leftThigh.x = phase * walkAmp;
+        pose.rightThigh.x = -phase * walkAmp;
+
+        // Knee bending - opposite phase of thigh for natural walking
+        pose.leftShin.x = Math.max(0, -phase * kneeAmp);
+        pose.rightShin.x = Math.max(0, phase * kneeAmp);
+
+        // Arm swing - opposite of legs for natural walking (right arm with left leg)
+        pose.leftArm.x = phase * walkAmp * 0.8;
+        pose.rightArm.x = -phase * walkAmp * 0.8;
+        pose.leftArm.y = 0.3 + phase * 0.1;
+        pose.rightArm.y = -0.3 + phase * 0.1;
+
+        // Subtle torso movement
+        pose.torso.y = phase * 0.05;
+        pose.torso.x = 0.05; // Slight forward lean
+    },
+
+    sprinting(pose, params) {
+        const sprintSpeed = StrideFrequencies.sprinting;
+        const sprintAmp = 0.5;
+        const sprintKneeAmp = 0.7;  // More pronounced knee bend for running
+        const phase = Math.sin(params.time * sprintSpeed);
+
+        // Leg movement
+        pose.leftThigh.x = phase * sprintAmp;
+        pose.rightThigh.x = -phase * sprintAmp;
+
+        // Exaggerated knee bending for running
+        pose.leftShin.x = Math.max(0, -phase * sprintKneeAmp);
+        pose.rightShin.x = Math.max(0, phase * sprintKneeAmp);
+
+        // Naruto run arm positioning - arms straight back
+        pose.leftArm.x = 1.2;
+        pose.rightArm.x = 1.2;
+
+        // Forward lean
+        pose.torso.x = 0.4; // More pronounced forward lean for Naruto run
+        pose.torso.y = phase * 0.08;
+    },
+
+    sliding(pose, params) {
+        const slideProgress = params.slideProgress;
+        const slideAngle = Math.PI / 3;
+        const slideArmBase = 0.4; // Wide outward angle during slide
+
+        // Torso lean
+        pose.torso.x = slideAngle;
+
+        // Leg positioning during slide
+        pose.leftThigh.x = slideAngle * 0.7;
+        pose.rightThigh.x = slideAngle * 0.7;
+        pose.leftShin.x = -slideAngle * 0.3;  // Bend knees inward
+        pose.rightShin.x = -slideAngle * 0.3;
+
+        // Arms out wide for balance
+        pose.leftArm.x = -slideAngle * 0.5;
+        pose.rightArm.x = -slideAngle * 0.5;
+        pose.leftArm.z = slideArmBase;
+        pose.rightArm.z = -slideArmBase;
+
+        // Recovery animation
+        if (slideProgress > 0.7) {
+            const recoveryEase = 1 - (slideProgress - 0.7) / 0.3;
+
+            // Smoothly return to normal stance
+            for (const joint of ['torso', 'leftThigh', 'rightThigh', 'leftShin', 'rightShin', 'leftArm', 'rightArm']) {
+                pose[joint].x *= recoveryEase;
+            }
+            // Maintain minimum outward angle during recovery
+            pose.leftArm.z = slideArmBase * recoveryEase + 0.3;
+            pose.rightArm.z = -slideArmBase * recoveryEase - 0.3;
+        }
+    },
+
+    dead(pose) {
+        // Collapsed on the knees, slumped forward
+        pose.leftThigh.x = -1.4;
+        pose.rightThigh.x = -1.4;
+        pose.leftShin.x = 2.3;
+        pose.rightShin.x = 2.3;
+        pose.torso.x = 0.9;
+        pose.head.x = 0.5;
+        pose.leftArm.x = 0.4;
+        pose.rightArm.x = 0.4;
+        pose.leftArm.z = 0.2;
+        pose.rightArm.z = -0.2;
+    },
+
+    wallRunning(pose, params) {
+        // Sprinting along the wall, leaning away from it
+        const phase = Math.sin(params.time * StrideFrequencies.wallRunning);
+        const side = params.wallSide;
+
+        pose.leftThigh.x = phase * 0.7;
+        pose.rightThigh.x = -phase * 0.7;
+        pose.leftShin.x = Math.max(0, -phase * 0.9);
+        pose.rightShin.x = Math.max(0, phase * 0.9);
+
+        // Wall-side hand trails along the surface, the other swings for balance
+        const wallArm = side > 0 ? pose.leftArm : pose.rightArm;
+        const freeArm = side > 0 ? pose.rightArm : pose.leftArm;
+        wallArm.x = -0.4;
+        wallArm.z = 1.2 * side;
+        freeArm.x = -phase * 0.6;
+        freeArm.z = -0.5 * side;
+
+        pose.torso.x = 0.3;
+        pose.torso.z = 0.35 * side;
+        pose.head.z = -0.2 * side;
+    },
+
+    hanging(pose, params) {
+        // Arms straight up on the ledge, legs dangling with a slight sway
+        const sway = Math.sin(params.time * 1.2) * 0.1;
+
+        pose.leftArm.x = -2.9;
+        pose.rightArm.x = -2.9;
+        pose.leftArm.z = 0.15;
+        pose.rightArm.z = -0.15;
+        pose.head.x = -0.3; // Looking up at the ledge
+
+        pose.leftThigh.x = 0.1 + sway;
+        pose.rightThigh.x = 0.1 - sway;
+        pose.leftShin.x = 0.3;
+        pose.rightShin.x = 0.3;
+    },
+
+    mantling(pose, params) {
+        MantleClip(pose, { clipTime: params.mantleProgress });
+    },
+
+    dashing(pose, params) {
+        // Forward lean during dash
+        pose.torso.x = 0.6;
+
+        // Arms stretched back like a ninja run
+        pose.leftArm.x = 1.5;
+        pose.rightArm.x = 1.5;
+        pose.leftArm.z = -0.2;
+        pose.rightArm.z = 0.2;
+
+        // Legs in running position
+        pose.leftThigh.x = -0.4;
+        pose.rightThigh.x = 0.4;
+        pose.leftShin.x = 0.8;
+
+        // Add slight body rotation for dynamic effect
+        pose.torso.y = Math.sin(params.dashProgress * Math.PI) * 0.2;
+    }
+};
+
+// The player's animation graph.
+// Transitions are checked top to bottom, so earlier rules win (death over everything, then
+// swimming, then wall and ledge moves over the other airborne states).
+export const PlayerAnimationGraph = {
+    initial: 'idle',
+    defaultFade: 0.15,
+    states: PlayerPoses,
+    transitions: [
+        { to: 'dead', when: p => p.isDead, fade: 0.3 },
+        { to: 'swimming', when: p => p.isSwimming, fade: 0.3 },
+        { to: 'mantling', when: p => p.isMantling, fade: 0.05 },
+        { to: 'hanging', when: p => p.isHanging, fade: 0.1 },
+        { to: 'wallRunning', when: p => p.isWallRunning, fade: 0.1 },
+        { to: 'rolling', when: p => !p.isGrounded && p.isRolling, fade: 0.05 },
+        { to: 'jumping', when: p => !p.isGrounded, fade: 0.1 },
+        { to: 'sliding', when: p => p.isSliding, fade: 0.1 },
+        { to: 'dashing', when: p => p.isDashing, fade: 0.05 },
+        { to: 'sprinting', when: p => p.isSprinting && p.speed > 0.002, fade: 0.2 },
+        { to: 'walking', when: p => p.speed > 0.001, fade: 0.2 },
+        { to: 'idle', when: () => true, fade: 0.25 }
+    ],
+    layers: {
+        // Attacks swing the upper body on top of whatever the legs are doing
+        upperBody: { joints: UpperBodyJoints, blend: 'additive' }
+    }
+};
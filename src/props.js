@@ -0,0 +1,97 @@
+import * as THREE from 'three';
+
+// Stable offset from -1 to 1 per vertex position, so the copies of a vertex on
+// neighbouring faces move together and the surface doesn't split
+function jitter(x, y, z, salt) {
+    const value = Math.sin(x * 12.9898 + y * 78.233 + z * 37.719 + salt) * 43758.5453;
+    return (value - Math.floor(value)) * 2 - 1;
+}
+
+// Unit rock filling the box from (-0.5, 0, -0.5) to (0.5, 1, 0.5): a subdivided cube
+// with its corners pulled in and its faces dented, always inside the box so it
+// never pokes out of its collider
+function createRockGeometry() {
+    const geometry = new THREE.BoxGeometry(1, 1, 1, 3, 3, 3);
+    const position = geometry.attributes.position;
+    const vertex = new THREE.Vector3();
+    for (let i = 0; i < position.count; i++) {
+        vertex.fromBufferAttribute(position, i);
+        const { x, y, z } = vertex;
+
+        // 0 in the middle of a face, 1 at a corner
+        const corner = THREE.MathUtils.clamp(Math.abs(x) + Math.abs(y) + Math.abs(z) - 0.5, 0, 1);
+        const dent = 0.04 * (jitter(x, y, z, 1) + 1);
+        const shrink = 1 - 0.3 * corner - dent;
+        vertex.x *= shrink;
+        vertex.z *= shrink;
+        // Rounded over at the top, but only slightly lower so we stand on it
+        // where the collider says; the base stays flat on the ground
+        vertex.y = (y + 0.5) * (1 - 0.1 * corner - dent * 0.5) - 0.5;
+        position.setXYZ(i, vertex.x, vertex.y, vertex.z);
+    }
+    geometry.translate(0, 0.5, 0);
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+function createCrateGeometry() {
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    geometry.translate(0, 0.5, 0);
+    return geometry;
+}
+
+// Rocks and crates from the world generator, one InstancedMesh per kind, each
+// instance scaled to exactly fill its collider box
+export class Props {
+    constructor(props) {
+        this.group = new THREE.Group();
+
+        const rockMaterial = new THREE.MeshStandardMaterial({ color: 0x8a8580, roughness: 0.95, flatShading: true });
+        const crateMaterial = new THREE.MeshStandardMaterial({ color: 0x9c6b3c, roughness: 0.85 });
+        const rockGeometry = createRockGeometry();
+        this.kinds = {
+            boulder: { geometry: rockGeometry, material: rockMaterial },
+            rock: { geometry: rockGeometry, material: rockMaterial },
+            crate: { geometry: createCrateGeometry(), material: crateMaterial }
+        };
+
+        for (const [kind, { geometry, material }] of Object.entries(this.kinds)) {
+            const instances = props.filter(prop => prop.kind === kind);
+            if (instances.length === 0) continue;
+            this.group.add(this.createBatch(instances, geometry, material));
+        }
+    }
+
+    createBatch(props, geometry, material) {
+        const mesh = new THREE.InstancedMesh(geometry, material, props.length);
+        const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
+        const rotation = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        const up = new THREE.Vector3(0, 1, 0);
+        const color = new THREE.Color();
+
+        props.forEach((prop, i) => {
+            position.set(prop.x, prop.y, prop.z);
+            rotation.setFromAxisAngle(up, prop.yaw);
+            scale.set(prop.width, prop.height, prop.depth);
+            mesh.setMatrixAt(i, matrix.compose(position, rotation, scale));
+            mesh.setColorAt(i, color.setScalar(prop.tint ?? 1));
+        });
+
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.instanceColor.needsUpdate = true;
+        mesh.computeBoundingSphere();
+        return mesh;
+    }
+
+    dispose() {
+        const geometries = new Set(Object.values(this.kinds).map(kind => kind.geometry));
+        const materials = new Set(Object.values(this.kinds).map(kind => kind.material));
+        for (const resource of [...geometries, ...materials]) {
+            resource.dispose();
+        }
+    }
+}
@@ -0,0 +1,52 @@
+// Turn a number or string seed into a 32-bit unsigned integer
+export function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+
+    const text = String(seed);
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    // FNV-1a for arbitrary strings like "beach"
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Seeded pseudo-random number generator (mulberry32).
+// The same seed always produces the same sequence, so generated worlds can be reproduced.
+export class Random {
+    constructor(seed = 1) {
+        this.seed = hashSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1), a drop-in replacement for Math.random()
+    next() {
+        let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [min, max)
+    int(min, max) {
+        return Math.floor(this.range(min, max));
+    }
+
+    // Independent generator for one part of the world, so adding draws in
+    // one system (e.g. enemies) doesn't reshuffle another (e.g. trees)
+    fork(label) {
+        return new Random(hashSeed(`${this.seed}:${label}`));
+    }
+}
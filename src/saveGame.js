@@ -0,0 +1,298 @@
+import * as THREE from 'three';
+import { WeaponRegistry } from './weapons.js';
+import { DefaultSettings, GraphicsPresets, ShadowQualities } from './settings.js';
+
+// Version of the save format. Bump it whenever the shape of a save changes and add
+// a migration from the previous version, so saves from older builds keep loading.
+export const SaveVersion = 2;
+
+// Migrations[n] upgrades a version n save to version n + 1
+export const Migrations = {
+    // Version 2 keeps every setting from the settings screen in options. The mouse
+    // settings move there from the camera section, which keeps only the zoom.
+    1: (save) => {
+        const { camera = {}, ...settings } = save.settings ?? {};
+        const options = {};
+        if ('mouseSensitivity' in camera) options.mouseSensitivity = camera.mouseSensitivity;
+        if ('invertY' in camera) options.invertY = camera.invertY;
+        const migrated = { ...settings, options };
+        if ('distance' in camera) migrated.camera = { distance: camera.distance };
+        return { ...save, settings: migrated };
+    }
+};
+
+export const SaveSlots = ['autosave', 'slot1', 'slot2', 'slot3'];
+
+export const SlotLabels = {
+    autosave: 'Autosave',
+    slot1: 'Slot 1',
+    slot2: 'Slot 2',
+    slot3: 'Slot 3'
+};
+
+const STORAGE_PREFIX = 'beach-adventure.save.';
+
+// Bring a save from any older version up to SaveVersion. Throws if it can't be read.
+export function migrateSave(data) {
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+        throw new Error('Not a save file');
+    }
+    if (data.version > SaveVersion) {
+        throw new Error(`Save version ${data.version} is from a newer version of the game`);
+    }
+
+    let save = data;
+    while (save.version < SaveVersion) {
+        const migrate = Migrations[save.version];
+        if (!migrate) {
+            throw new Error(`No migration from save version ${save.version}`);
+        }
+        save = { ...migrate(save), version: save.version + 1 };
+    }
+    return save;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Settings with a fixed set of values
+const SettingChoices = {
+    graphicsPreset: GraphicsPresets,
+    shadowQuality: ShadowQualities
+};
+
+// Check a current-version save has everything apply() needs, and return it with the
+// seed as text. Throws an error saying what's wrong, for the player to see, so a bad
+// file is never stored or applied.
+export function validateSave(save) {
+    // The seed is whatever was in the URL: usually digits, but any text makes a world
+    const { seed, player, weapon, settings } = save;
+    if (!(isNumber(seed) || (typeof seed === 'string' && seed !== ''))) {
+        throw new Error('The save has no world seed');
+    }
+    if (!isObject(player)) {
+        throw new Error('The save has no player');
+    }
+    if (!Array.isArray(player.position) || player.position.length !== 3 || !player.position.every(isNumber)) {
+        throw new Error('The player position is not three numbers');
+    }
+    for (const key of ['rotation', 'health', 'stamina']) {
+        if (!isNumber(player[key])) {
+            throw new Error(`The player ${key} is not a number`);
+        }
+    }
+    if (!isObject(weapon) || !Object.hasOwn(WeaponRegistry, weapon.id) || typeof weapon.drawn !== 'boolean') {
+        throw new Error(`Unknown weapon ${JSON.stringify(weapon?.id)}`);
+    }
+
+    if (!isObject(settings)) {
+        throw new Error('The save has no settings');
+    }
+    if ('bindings' in settings && !isObject(settings.bindings)) {
+        throw new Error('The key bindings are not a list of actions');
+    }
+    if ('camera' in settings && !(isObject(settings.camera) && isNumber(settings.camera.distance))) {
+        throw new Error('The camera distance is not a number');
+    }
+    if ('options' in settings) {
+        if (!isObject(settings.options)) {
+            throw new Error('The settings are not a list of options');
+        }
+        for (const [key, value] of Object.entries(settings.options)) {
+            if (!(key in DefaultSettings)) continue; // From another build; ignored
+            const expected = typeof DefaultSettings[key];
+            if (typeof value !== expected || (expected === 'number' && !Number.isFinite(value))) {
+                throw new Error(`The ${key} setting should be a ${expected}`);
+            }
+            if (key in SettingChoices && !Object.hasOwn(SettingChoices[key], value)) {
+                throw new Error(`Unknown ${key} ${JSON.stringify(value)}`);
+            }
+        }
+    }
+    return { ...save, seed: String(seed) };
+}
+
+// Parse, migrate and check a save. Throws if it can't be used.
+export function parseSave(text) {
+    return validateSave(migrateSave(JSON.parse(text)));
+}
+
+// The save in a slot, migrated to the current version, or null if there is none
+// or it can't be used
+export function readSave(slot, storage = globalThis.localStorage) {
+    try {
+        const text = storage.getItem(STORAGE_PREFIX + slot);
+        return text === null ? null : parseSave(text);
+    } catch (error) {
+        console.warn(`Could not read the save in ${slot}:`, error);
+        return null;
+    }
+}
+
+// Saves and restores the player's transform and stats, the world seed, the equipped
+// weapon, key bindings, settings and camera zoom. Each slot is a JSON document in localStorage.
+// Dispatches 'save' and 'load' events.
+export class SaveManager extends THREE.EventDispatcher {
+    constructor({ seed, simulation, input = null, settings = null, cameraController = null, storage = globalThis.localStorage }) {
+        super();
+        this.seed = String(seed);       // As given in the URL, so loading reproduces the same world
+        this.simulation = simulation;
+        this.input = input;
+        this.settings = settings;
+        this.cameraController = cameraController;
+        this.storage = storage;
+
+        this.autosaveInterval = 30;     // Seconds
+        this.autosaveTimer = null;
+        this.onPageHide = () => this.autosave();
+    }
+
+    serialize() {
+        const { character, player, combat } = this.simulation;
+        const save = {
+            version: SaveVersion,
+            savedAt: new Date().toISOString(),
+            seed: this.seed,
+            player: {
+                position: character.position.toArray(),
+                rotation: character.rotation.y,
+                health: player.health,
+                stamina: player.stamina
+            },
+            weapon: {
+                id: combat.pendingWeapon ?? combat.weaponId,
+                drawn: combat.wantsDrawn
+            },
+            settings: {}
+        };
+
+        if (this.input) {
+            save.settings.bindings = structuredClone(this.input.bindings);
+        }
+        if (this.settings) {
+            save.settings.options = { ...this.settings.values };
+        }
+        if (this.cameraController) {
+            save.settings.camera = { distance: this.cameraController.distance };
+        }
+        return save;
+    }
+
+    // Restore a save made in this world
+    apply(save) {
+        const { player, combat } = this.simulation;
+
+        // Alive, off any wall or ledge, and drawn where we land rather than sliding there
+        player.placeAt(new THREE.Vector3().fromArray(save.player.position), save.player.rotation);
+        this.simulation.resetInterpolation();
+        player.health = THREE.MathUtils.clamp(save.player.health, 1, player.maxHealth);
+        player.stamina = THREE.MathUtils.clamp(save.player.stamina, 0, player.maxStamina);
+
+        combat.setWeapon(save.weapon.id, save.weapon.drawn);
+
+        const settings = save.settings;
+        if (this.input && settings.bindings) {
+            this.input.replaceBindings(settings.bindings);
+        }
+        if (this.settings && settings.options) {
+            for (const [key, value] of Object.entries(settings.options)) {
+                this.settings.set(key, value);
+            }
+        }
+        if (this.cameraController && settings.camera) {
+            const camera = this.cameraController;
+            camera.distance = THREE.MathUtils.clamp(settings.camera.distance, camera.minDistance, camera.maxDistance);
+        }
+
+        this.dispatchEvent({ type: 'load', save });
+    }
+
+    save(slot) {
+        const save = this.serialize();
+        try {
+            this.storage.setItem(STORAGE_PREFIX + slot, JSON.stringify(save));
+        } catch (error) {
+            console.warn(`Could not save to ${slot}:`, error);
+            return false;
+        }
+        this.dispatchEvent({ type: 'save', slot, save });
+        return true;
+    }
+
+    read(slot) {
+        return readSave(slot, this.storage);
+    }
+
+    // Restore a slot if it was saved in this world. Returns whether it was.
+    restore(slot) {
+        const save = this.read(slot);
+        if (!save || save.seed !== this.seed) return false;
+        this.apply(save);
+        return true;
+    }
+
+    // Load a slot. A save from another world reloads the page with that seed,
+    // and the game restores the slot once the world is built.
+    load(slot) {
+        const save = this.read(slot);
+        if (!save) return false;
+        if (save.seed !== this.seed) {
+            const params = new URLSearchParams({ seed: save.seed, load: slot });
+            window.location.search = `?${params}`;
+            return true;
+        }
+        this.apply(save);
+        return true;
+    }
+
+    delete(slot) {
+        this.storage.removeItem(STORAGE_PREFIX + slot);
+    }
+
+    // Every slot with its save, or null where it's empty
+    list() {
+        return SaveSlots.map(slot => ({ slot, save: this.read(slot) }));
+    }
+
+    // The slot's save as JSON text for a file
+    export(slot) {
+        const save = this.read(slot);
+        return save ? JSON.stringify(save, null, 2) : null;
+    }
+
+    // Store a save from a file in a slot. Throws if the file isn't a save we can use.
+    import(text, slot) {
+        const save = parseSave(text);
+        this.storage.setItem(STORAGE_PREFIX + slot, JSON.stringify(save));
+        return save;
+    }
+
+    // Save to the autosave slot, unless there is nothing worth keeping right now
+    autosave() {
+        const player = this.simulation.player;
+        if (player.isDead) return false;
+        return this.save('autosave');
+    }
+
+    // Autosave every autosaveInterval seconds and when the page is closed or reloaded
+    startAutosave() {
+        this.stopAutosave();
+        this.autosaveTimer = setInterval(() => {
+            if (!this.simulation.gameClock.paused) {
+                this.autosave();
+            }
+        }, this.autosaveInterval * 1000);
+        window.addEventListener('pagehide', this.onPageHide);
+    }
+
+    stopAutosave() {
+        clearInterval(this.autosaveTimer);
+        this.autosaveTimer = null;
+        window.removeEventListener('pagehide', this.onPageHide);
+    }
+}
@@ -0,0 +1,112 @@
+import { SlotLabels } from './saveGame.js';
+import { Menu } from './menu.js';
+
+// Overlay listing the save slots, with buttons to save, load, export, import and delete.
+// Dispatches 'open' and 'close' events.
+export class SaveMenu extends Menu {
+    constructor(container = document.body, input, saveManager) {
+        super(container, 'Save game');
+        this.input = input;
+        this.saveManager = saveManager;
+        const panel = this.element;
+
+        this.table = document.createElement('table');
+        this.table.style.borderSpacing = '10px 4px';
+        panel.appendChild(this.table);
+
+        this.hint = document.createElement('div');
+        this.hint.style.marginTop = '10px';
+        panel.appendChild(this.hint);
+
+        const footer = document.createElement('div');
+        footer.style.marginTop = '10px';
+        footer.appendChild(this.createButton('Close', () => this.close()));
+        panel.appendChild(footer);
+
+        // Hidden file picker for imports
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = 'application/json,.json';
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', () => this.onFileChosen());
+        panel.appendChild(this.fileInput);
+        this.importSlot = null;
+
+        this.saveManager.addEventListener('save', () => {
+            if (this.isOpen) this.refresh();
+        });
+        this.input.addEventListener('press', (event) => {
+            if (event.action === 'saveMenu') this.toggle();
+        });
+    }
+
+    // Rebuild the rows from what's in storage
+    refresh() {
+        this.table.replaceChildren();
+
+        for (const { slot, save } of this.saveManager.list()) {
+            const row = this.table.insertRow();
+            row.insertCell().textContent = SlotLabels[slot] ?? slot;
+            row.insertCell().textContent = save
+                ? `${new Date(save.savedAt).toLocaleString()} (seed ${save.seed})`
+                : 'Empty';
+
+            const buttons = row.insertCell();
+            buttons.appendChild(this.createButton('Save', () => {
+                this.saveManager.save(slot);
+                this.hint.textContent = `Saved to ${SlotLabels[slot]}`;
+            }));
+            if (save) {
+                buttons.appendChild(this.createButton('Load', () => this.load(slot)));
+                buttons.appendChild(this.createButton('Export', () => this.exportSlot(slot)));
+                buttons.appendChild(this.createButton('Delete', () => {
+                    this.saveManager.delete(slot);
+                    this.refresh();
+                }));
+            }
+            buttons.appendChild(this.createButton('Import', () => {
+                this.importSlot = slot;
+                this.fileInput.click();
+            }));
+        }
+    }
+
+    load(slot) {
+        if (this.saveManager.load(slot)) {
+            this.close();
+        } else {
+            this.hint.textContent = `Could not load ${SlotLabels[slot]}`;
+        }
+    }
+
+    // Download the slot as a JSON file
+    exportSlot(slot) {
+        const text = this.saveManager.export(slot);
+        if (!text) return;
+        const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `beach-adventure-${slot}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async onFileChosen() {
+        const file = this.fileInput.files[0];
+        this.fileInput.value = ''; // Let the same file be picked again
+        if (!file) return;
+
+        try {
+            this.saveManager.import(await file.text(), this.importSlot);
+            this.hint.textContent = `Imported ${file.name} into ${SlotLabels[this.importSlot]}`;
+        } catch (error) {
+            this.hint.textContent = `Could not import ${file.name}: ${error.message}`;
+        }
+        this.refresh();
+    }
+
+    onOpen() {
+        this.hint.textContent = '';
+        this.refresh();
+    }
+}
@@ -0,0 +1,97 @@
+import * as THREE from 'three';
+
+// Shadow map resolution and filtering for each shadow quality; size 0 turns shadows off
+export const ShadowQualities = {
+    off: { size: 0, type: THREE.PCFShadowMap },
+    low: { size: 1024, type: THREE.BasicShadowMap },
+    medium: { size: 2048, type: THREE.PCFShadowMap },
+    high: { size: 4096, type: THREE.PCFShadowMap },
+    ultra: { size: 4096, type: THREE.PCFSoftShadowMap }
+};
+
+// Graphics presets:
+//   maxPixelRatio: cap on the screen's pixel ratio, before the render scale
+//   shadowQuality: starting point for the shadow setting when the preset is picked
+//   treeDensity:   share of the distant trees drawn; every preset has the same world
+//   drawDistance:  how far away trees are drawn
+export const GraphicsPresets = {
+    low: { maxPixelRatio: 1, shadowQuality: 'off', treeDensity: 0.5, drawDistance: 80 },
+    medium: { maxPixelRatio: 1.5, shadowQuality: 'medium', treeDensity: 0.75, drawDistance: 120 },
+    high: { maxPixelRatio: 2, shadowQuality: 'high', treeDensity: 1, drawDistance: 160 },
+    ultra: { maxPixelRatio: 3, shadowQuality: 'ultra', treeDensity: 1, drawDistance: 240 }
+};
+
+export const DefaultSettings = {
+    mouseSensitivity: 0.0025,   // Radians per pixel
+    invertY: false,
+    fov: 75,                    // Vertical field of view in degrees, before the sprint and dash kick
+    graphicsPreset: 'high',
+    shadowQuality: 'high',
+    renderScale: 1,             // Fraction of the screen's resolution to render at
+    dynamicResolution: false,   // Adjust the render scale to hold targetFps instead
+    targetFps: 60,
+    masterVolume: 0.8,          // Volumes 0-1
+    sfxVolume: 1,
+    ambienceVolume: 0.7,        // The ocean and wind
+    musicVolume: 0.7
+};
+
+const STORAGE_KEY = 'beach-adventure.settings';
+
+// Player preferences, persisted to localStorage. Key bindings live in Input.
+// Dispatches 'change' with the key that changed, or null after a reset.
+export class Settings extends THREE.EventDispatcher {
+    constructor() {
+        super();
+        this.values = this.load();
+    }
+
+    // Saved settings on top of the defaults, so new settings still get a value
+    load() {
+        const values = { ...DefaultSettings };
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            for (const key in saved) {
+                if (key in values && typeof saved[key] === typeof values[key]) {
+                    values[key] = saved[key];
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load saved settings:', error);
+        }
+        return values;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('Could not save settings:', error);
+        }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    set(key, value) {
+        if (!(key in DefaultSettings) || this.values[key] === value) return;
+        this.values[key] = value;
+        this.save();
+        this.dispatchEvent({ type: 'change', key });
+    }
+
+    // Pick a graphics preset, resetting the shadow setting to the preset's
+    setPreset(name) {
+        const preset = GraphicsPresets[name];
+        if (!preset) return;
+        this.set('graphicsPreset', name);
+        this.set('shadowQuality', preset.shadowQuality);
+    }
+
+    reset() {
+        this.values = { ...DefaultSettings };
+        this.save();
+        this.dispatchEvent({ type: 'change', key: null });
+    }
+}
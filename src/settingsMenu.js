@@ -0,0 +1,97 @@
+import { GraphicsPresets, ShadowQualities } from './settings.js';
+import { Menu } from './menu.js';
+
+// Settings screen. Changes apply as soon as a control moves.
+// Dispatches 'open' and 'close' events.
+export class SettingsMenu extends Menu {
+    constructor(container = document.body, settings, { openBindings = null } = {}) {
+        super(container, 'Settings');
+        this.settings = settings;
+        this.controls = {};             // Setting key -> { input, output, format }
+        const panel = this.element;
+
+        this.table = document.createElement('table');
+        this.table.style.borderSpacing = '10px 6px';
+        panel.appendChild(this.table);
+
+        this.addSlider('mouseSensitivity', 'Mouse sensitivity', 0.0005, 0.008, 0.0001, value => (value * 1000).toFixed(1));
+        this.addCheckbox('invertY', 'Invert Y');
+        this.addSlider('fov', 'Field of view', 60, 100, 1, value => `${value}°`);
+        this.addSelect('graphicsPreset', 'Graphics', Object.keys(GraphicsPresets), name => this.settings.setPreset(name));
+        this.addSelect('shadowQuality', 'Shadow quality', Object.keys(ShadowQualities));
+        this.addSlider('renderScale', 'Render scale', 0.5, 1, 0.05, value => `${Math.round(value * 100)}%`);
+        this.addCheckbox('dynamicResolution', 'Dynamic resolution');
+        this.addSlider('targetFps', 'Target FPS', 30, 144, 1, value => `${value}`);
+        const percent = value => `${Math.round(value * 100)}%`;
+        this.addSlider('masterVolume', 'Master volume', 0, 1, 0.05, percent);
+        this.addSlider('sfxVolume', 'Effects volume', 0, 1, 0.05, percent);
+        this.addSlider('ambienceVolume', 'Ambience volume', 0, 1, 0.05, percent);
+        this.addSlider('musicVolume', 'Music volume', 0, 1, 0.05, percent);
+
+        const footer = document.createElement('div');
+        footer.style.marginTop = '10px';
+        if (openBindings) {
+            footer.appendChild(this.createButton('Key bindings...', openBindings));
+        }
+        footer.appendChild(this.createButton('Reset to defaults', () => this.settings.reset()));
+        footer.appendChild(this.createButton('Back', () => this.close()));
+        panel.appendChild(footer);
+
+        this.settings.addEventListener('change', () => this.refresh());
+    }
+
+    // A row with a label, the control and an optional readout
+    addRow(key, label, input, format = null) {
+        const row = this.table.insertRow();
+        row.insertCell().textContent = label;
+        row.insertCell().appendChild(input);
+        const output = row.insertCell();
+        this.controls[key] = { input, output, format };
+    }
+
+    addSlider(key, label, min, max, step, format) {
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = min;
+        input.max = max;
+        input.step = step;
+        input.addEventListener('input', () => this.settings.set(key, Number(input.value)));
+        this.addRow(key, label, input, format);
+    }
+
+    addCheckbox(key, label) {
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.addEventListener('change', () => this.settings.set(key, input.checked));
+        this.addRow(key, label, input);
+    }
+
+    addSelect(key, label, options, onChange = value => this.settings.set(key, value)) {
+        const input = document.createElement('select');
+        input.style.fontFamily = 'inherit';
+        for (const option of options) {
+            input.add(new Option(option, option));
+        }
+        input.addEventListener('change', () => onChange(input.value));
+        this.addRow(key, label, input);
+    }
+
+    // Show the current values
+    refresh() {
+        for (const [key, { input, output, format }] of Object.entries(this.controls)) {
+            const value = this.settings.get(key);
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+            output.textContent = format ? format(value) : '';
+        }
+        // Dynamic resolution picks the render scale itself
+        this.controls.renderScale.input.disabled = this.settings.get('dynamicResolution');
+    }
+
+    onOpen() {
+        this.refresh();
+    }
+}
@@ -0,0 +1,175 @@
+import * as THREE from 'three';
+import { World } from './world.js';
+import { CharacterRig } from './characterRig.js';
+import { PlayerController } from './player.js';
+import { Combat } from './combat.js';
+import { EnemyManager } from './enemies.js';
+import { GameClock } from './timers.js';
+import { Random, hashSeed } from './random.js';
+
+// The game simulation: scene contents, player, combat and enemies on a fixed timestep.
+// Needs no DOM or WebGL context, so it can be constructed and stepped in Node.
+export class Simulation {
+    constructor({ camera = null, textures = null, seed = 1, dayLength = 600, jumpTuning = {} } = {}) {
+        this.seed = hashSeed(seed);     // World seed - everything procedural derives from it
+        this.random = new Random(this.seed);
+        this.scene = new THREE.Scene();
+        this.camera = camera || new THREE.PerspectiveCamera(75, 1, 0.1, 1000);
+        this.gameClock = new GameClock(); // Drives all gameplay timers and tweens
+
+        // Camera setup
+        this.camera.position.set(0, 5, 10);
+        this.camera.lookAt(0, 0, 0);
+
+        // Beach environment
+        this.world = new World(this.scene, { textures, seed: this.seed, dayLength });
+
+        // The character; combat puts a weapon in its hand
+        this.rig = new CharacterRig();
+        this.character = this.rig.root;
+        this.scene.add(this.character);
+        // Make character face away from camera by default
+        this.character.rotation.y = Math.PI;
+
+        this.player = new PlayerController({
+            rig: this.rig,
+            camera: this.camera,
+            gameClock: this.gameClock,
+            jumpTuning                  // Overrides for JumpTuning
+        });
+        this.player.terrain = this.world.terrain;
+        this.player.water = this.world.water;
+        this.character.position.y = this.world.terrain.getHeight(0, 0);
+        this.player.spawnPoint.copy(this.character.position);
+        this.player.collision = this.world.collision;
+        // Respawning jumps across the map; don't draw the character sliding there
+        this.player.addEventListener('respawn', () => this.resetInterpolation());
+
+        this.combat = new Combat({
+            player: this.player,
+            rig: this.rig,
+            gameClock: this.gameClock
+        });
+
+        // Fixed timestep simulation
+        this.fixedTimeStep = 1 / 60;    // Physics always advances in 60 Hz steps
+        this.maxFrameTime = 0.25;       // Clamp long frames (tab switches) to avoid a spiral of death
+        this.accumulator = 0;
+        this.elapsedTime = 0;           // Simulation time in seconds
+        this.previousTransforms = new Map(); // Object -> transform at the start of the last step
+        this.interpolatedObjects = new Set([this.character]);
+        this.interpolationState = [];   // Simulated transforms to restore after rendering
+
+        // Enemies
+        this.enemyManager = new EnemyManager(this.scene, {
+            collision: this.world.collision,
+            terrain: this.world.terrain,
+            random: this.random.fork('enemyAI')
+        });
+        this.enemyManager.addEventListener('spawn', (event) => {
+            this.combat.addAttackTarget(event.enemy);
+            this.interpolatedObjects.add(event.enemy.object);
+        });
+        this.enemyManager.addEventListener('remove', (event) => {
+            this.interpolatedObjects.delete(event.enemy.object);
+            this.previousTransforms.delete(event.enemy.object);
+        });
+        this.enemyManager.addEventListener('death', (event) => {
+            this.combat.removeAttackTarget(event.enemy);
+        });
+        this.enemyManager.addEventListener('attack', (event) => this.onPlayerHit(event));
+
+        // Populate the beach with enemies
+        this.spawnEnemies();
+    }
+
+    spawnEnemies() {
+        const numEnemies = 6;
+        const terrain = this.world.terrain;
+        const random = this.random.fork('enemies');
+        for (let i = 0; i < numEnemies; i++) {
+            // Try a few spots until one is on dry land
+            for (let attempt = 0; attempt < 10; attempt++) {
+                const angle = (i / numEnemies) * Math.PI * 2 + random.next() * 0.5;
+                const radius = random.range(15, 40);
+                const x = Math.cos(angle) * radius;
+                const z = Math.sin(angle) * radius;
+                const y = terrain.getHeight(x, z);
+                if (y > this.world.seaLevel + 0.5) {
+                    this.enemyManager.spawn(new THREE.Vector3(x, y, z));
+                    break;
+                }
+            }
+        }
+    }
+
+    // Called when an enemy attack connects with the player
+    onPlayerHit(event) {
+        this.player.takeDamage(event.damage, event.direction);
+    }
+
+    // Run as many fixed steps as the elapsed frame time allows.
+    // Returns how far we are between the last two steps (0-1) for interpolation.
+    advance(frameTime) {
+        this.accumulator += this.gameClock.scale(Math.min(frameTime, this.maxFrameTime));
+        while (this.accumulator >= this.fixedTimeStep) {
+            this.step();
+            this.accumulator -= this.fixedTimeStep;
+        }
+        return this.accumulator / this.fixedTimeStep;
+    }
+
+    // Advance the simulation by exactly one fixed step
+    step() {
+        const deltaTime = this.fixedTimeStep;
+        this.savePreviousTransforms();
+        this.elapsedTime += deltaTime;
+        this.gameClock.update(deltaTime);
+        this.world.update(this.elapsedTime, deltaTime);
+        this.player.update(deltaTime, this.elapsedTime);
+        this.combat.update();
+        this.enemyManager.update(deltaTime, this.character);
+    }
+
+    savePreviousTransforms() {
+        for (const object of this.interpolatedObjects) {
+            let previous = this.previousTransforms.get(object);
+            if (!previous) {
+                previous = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() };
+                this.previousTransforms.set(object, previous);
+            }
+            previous.position.copy(object.position);
+            previous.quaternion.copy(object.quaternion);
+        }
+    }
+
+    // Forget where objects were a step ago, so the next frame draws them where they
+    // are instead of sliding there. Call after moving something outright.
+    resetInterpolation() {
+        this.savePreviousTransforms();
+    }
+
+    // Blend moving objects between the previous and current steps for rendering.
+    // Must be paired with endInterpolation() once the frame is drawn.
+    beginInterpolation(alpha) {
+        for (const [object, previous] of this.previousTransforms) {
+            const current = {
+                object,
+                position: object.position.clone(),
+                quaternion: object.quaternion.clone()
+            };
+            this.interpolationState.push(current);
+            object.position.lerpVectors(previous.position, current.position, alpha);
+            object.quaternion.slerpQuaternions(previous.quaternion, current.quaternion, alpha);
+        }
+    }
+
+    // Restore the simulated transforms
+    endInterpolation() {
+        for (const { object, position, quaternion } of this.interpolationState) {
+            object.position.copy(position);
+            object.quaternion.copy(quaternion);
+        }
+        this.interpolationState.length = 0;
+    }
+}
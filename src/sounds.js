@@ -0,0 +1,185 @@
+import { Random } from './random.js';
+
+// Mono AudioBuffer of duration seconds, filled by fill(data, sampleRate, random)
+function createSound(context, duration, seed, fill) {
+    const sampleRate = context.sampleRate;
+    const buffer = context.createBuffer(1, Math.ceil(duration * sampleRate), sampleRate);
+    fill(buffer.getChannelData(0), sampleRate, new Random(seed));
+    return buffer;
+}
+
+// Smoothing factor of a one-pole low-pass filter with the given cutoff
+function lowPassFactor(cutoff, sampleRate) {
+    return 1 - Math.exp(-2 * Math.PI * cutoff / sampleRate);
+}
+
+// Noise through a band-pass that sweeps with band(t) -> [low, high] Hz, shaped by
+// envelope(t) with t from 0 to 1 over the sound
+function fillSweptNoise(data, sampleRate, random, band, envelope) {
+    let low = 0;
+    let high = 0;
+    for (let i = 0; i < data.length; i++) {
+        const t = i / data.length;
+        const [lowCutoff, highCutoff] = band(t);
+        const noise = random.range(-1, 1);
+        high += (noise - high) * lowPassFactor(highCutoff, sampleRate);
+        low += (noise - low) * lowPassFactor(lowCutoff, sampleRate);
+        data[i] = (high - low) * envelope(t);
+    }
+}
+
+// Crossfade the last fadeTime seconds into the start so the buffer loops without a click
+function makeLoop(data, sampleRate, fadeTime) {
+    const fade = Math.floor(fadeTime * sampleRate);
+    const length = data.length - fade;
+    for (let i = 0; i < fade; i++) {
+        const t = i / fade;
+        data[i] = data[i] * t + data[length + i] * (1 - t);
+    }
+    return data.subarray(0, length);
+}
+
+// Looping buffer: synthesised with an extra fade's worth of samples that are
+// folded back into the start
+function createLoop(context, duration, seed, fill, fadeTime = 0.5) {
+    const sampleRate = context.sampleRate;
+    const raw = new Float32Array(Math.ceil((duration + fadeTime) * sampleRate));
+    fill(raw, sampleRate, new Random(seed));
+    const looped = makeLoop(raw, sampleRate, fadeTime);
+    const buffer = context.createBuffer(1, looped.length, sampleRate);
+    buffer.copyToChannel(looped, 0);
+    return buffer;
+}
+
+function normalize(data, peak) {
+    let max = 0;
+    for (let i = 0; i < data.length; i++) {
+        max = Math.max(max, Math.abs(data[i]));
+    }
+    if (max === 0) return;
+    for (let i = 0; i < data.length; i++) {
+        data[i] *= peak / max;
+    }
+}
+
+// A soft crunch in the sand: a short noise burst over a low thud
+export function createFootstepSound(context, seed = 1) {
+    return createSound(context, 0.14, seed, (data, sampleRate, random) => {
+        let filtered = 0;
+        const smoothing = lowPassFactor(1800, sampleRate);
+        for (let i = 0; i < data.length; i++) {
+            const time = i / sampleRate;
+            filtered += (random.range(-1, 1) - filtered) * smoothing;
+            const crunch = filtered * Math.exp(-time / 0.03);
+            const thud = Math.sin(2 * Math.PI * 90 * time) * Math.exp(-time / 0.02) * 0.6;
+            data[i] = crunch + thud;
+        }
+        normalize(data, 0.8);
+    });
+}
+
+// A blade cutting the air: noise whose band rises and falls through the swing
+export function createWhooshSound(context, seed = 1) {
+    return createSound(context, 0.35, seed, (data, sampleRate, random) => {
+        fillSweptNoise(
+            data, sampleRate, random,
+            t => [300 + Math.sin(t * Math.PI) * 900, 900 + Math.sin(t * Math.PI) * 2600],
+            t => Math.pow(Math.sin(t * Math.PI), 2) * (1 - t * 0.3)
+        );
+        normalize(data, 0.7);
+    });
+}
+
+// A dash: a longer, lower rush of air that cuts in fast and trails off
+export function createDashSound(context, seed = 1) {
+    return createSound(context, 0.5, seed, (data, sampleRate, random) => {
+        fillSweptNoise(
+            data, sampleRate, random,
+            t => [150 + (1 - t) * 400, 700 + (1 - t) * 1800],
+            t => Math.min(1, t * 20) * Math.pow(1 - t, 1.5)
+        );
+        normalize(data, 0.8);
+    });
+}
+
+// Sliding through sand: a gritty scrape that fades with the slide
+export function createSlideSound(context, seed = 1) {
+    return createSound(context, 0.7, seed, (data, sampleRate, random) => {
+        let filtered = 0;
+        let grain = 1;
+        const smoothing = lowPassFactor(2500, sampleRate);
+        for (let i = 0; i < data.length; i++) {
+            const t = i / data.length;
+            filtered += (random.range(-1, 1) - filtered) * smoothing;
+            // Flutter as grains catch and let go
+            if (random.next() < 0.002) {
+                grain = random.range(0.5, 1);
+            }
+            data[i] = filtered * grain * Math.min(1, t * 30) * (1 - t);
+        }
+        normalize(data, 0.6);
+    });
+}
+
+// Landing: a falling low thump with a puff of sand
+export function createLandSound(context, seed = 1) {
+    return createSound(context, 0.3, seed, (data, sampleRate, random) => {
+        let filtered = 0;
+        let phase = 0;
+        const smoothing = lowPassFactor(900, sampleRate);
+        for (let i = 0; i < data.length; i++) {
+            const time = i / sampleRate;
+            phase += 2 * Math.PI * (70 - time * 80) / sampleRate;
+            filtered += (random.range(-1, 1) - filtered) * smoothing;
+            data[i] = Math.sin(phase) * Math.exp(-time / 0.08) + filtered * Math.exp(-time / 0.05) * 0.8;
+        }
+        normalize(data, 0.9);
+    });
+}
+
+// Surf on the beach: deep rumbling noise swelling with each wave. Loops every 8 s.
+export function createOceanSound(context, seed = 1) {
+    const duration = 8;
+    return createLoop(context, duration, seed, (data, sampleRate, random) => {
+        let brown = 0;
+        let filtered = 0;
+        const smoothing = lowPassFactor(600, sampleRate);
+        for (let i = 0; i < data.length; i++) {
+            const time = i / sampleRate;
+            brown = (brown + random.range(-1, 1) * 0.02) * 0.998;
+            filtered += (brown - filtered) * smoothing;
+            // Two waves per loop, plus a slower swell, each a whole number of cycles
+            const wave = Math.pow(Math.sin(Math.PI * time * 2 / duration), 2);
+            const swell = 0.8 + 0.2 * Math.sin(2 * Math.PI * time / duration);
+            data[i] = filtered * (0.35 + wave * 0.65) * swell;
+        }
+        normalize(data, 0.6);
+    });
+}
+
+// Wind through the palms: hissing noise in gusts. Loops every 8 s.
+export function createWindSound(context, seed = 1) {
+    const duration = 8;
+    return createLoop(context, duration, seed, (data, sampleRate, random) => {
+        let filtered = 0;
+        for (let i = 0; i < data.length; i++) {
+            const time = i / sampleRate;
+            const gust = 0.5 + 0.3 * Math.sin(2 * Math.PI * time * 3 / duration) + 0.2 * Math.sin(2 * Math.PI * time / duration);
+            filtered += (random.range(-1, 1) - filtered) * lowPassFactor(300 + gust * 700, sampleRate);
+            data[i] = filtered * gust;
+        }
+        normalize(data, 0.5);
+    });
+}
+
+// Built-in sounds for when no recording is bundled or one fails to load.
+// Each is (context, seed) -> AudioBuffer, in any AudioContext or OfflineAudioContext.
+export const ProceduralSounds = {
+    footstep: createFootstepSound,
+    whoosh: createWhooshSound,
+    dash: createDashSound,
+    slide: createSlideSound,
+    land: createLandSound,
+    ocean: createOceanSound,
+    wind: createWindSound
+};
@@ -0,0 +1,213 @@
+import * as THREE from 'three';
+
+// Integer hash to a pseudo-random value in [0, 1)
+function hash2(x, z, seed) {
+    let h = Math.imul(x, 374761393) ^ Math.imul(z, 668265263) ^ Math.imul(seed, 2147483647);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+}
+
+// Smoothly interpolated value noise in [0, 1)
+function valueNoise(x, z, seed) {
+    const x0 = Math.floor(x);
+    const z0 = Math.floor(z);
+    const tx = x - x0;
+    const tz = z - z0;
+    const sx = tx * tx * (3 - 2 * tx);
+    const sz = tz * tz * (3 - 2 * tz);
+
+    const a = hash2(x0, z0, seed);
+    const b = hash2(x0 + 1, z0, seed);
+    const c = hash2(x0, z0 + 1, seed);
+    const d = hash2(x0 + 1, z0 + 1, seed);
+    return THREE.MathUtils.lerp(
+        THREE.MathUtils.lerp(a, b, sx),
+        THREE.MathUtils.lerp(c, d, sx),
+        sz
+    );
+}
+
+// Fractal noise: a few octaves of value noise, normalized to [0, 1)
+function fbm(x, z, seed, octaves = 4) {
+    let total = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let max = 0;
+    for (let i = 0; i < octaves; i++) {
+        total += valueNoise(x * frequency, z * frequency, seed + i) * amplitude;
+        max += amplitude;
+        amplitude *= 0.5;
+        frequency *= 2;
+    }
+    return total / max;
+}
+
+// Procedural beach heightfield: grassy hills inland sloping down through
+// a sandy beach into the sea along the +Z side of the map.
+export class Terrain {
+    constructor({ size = 200, segments = 128, seaLevel = 0, seed = 1, grassTexture = null, sandTexture = null } = {}) {
+        this.size = size;
+        this.segments = segments;
+        this.seaLevel = seaLevel;
+        this.seed = seed;
+
+        // Shape of the island
+        this.shoreDistance = 45;    // Distance of the shoreline from the center along +Z
+        this.beachWidth = 25;       // Width of the sand between grass and sea
+        this.hillHeight = 3;        // Height range of the inland hills
+        this.seaFloorDepth = 5;     // Deepest point of the sea floor below sea level
+
+        // Sample heights on the vertex grid so physics matches the rendered mesh
+        this.cellSize = size / segments;
+        this.heights = new Float32Array((segments + 1) * (segments + 1));
+        for (let row = 0; row <= segments; row++) {
+            for (let column = 0; column <= segments; column++) {
+                const x = -size / 2 + column * this.cellSize;
+                const z = -size / 2 + row * this.cellSize;
+                this.heights[row * (segments + 1) + column] = this.sampleHeight(x, z);
+            }
+        }
+
+        this.mesh = this.createMesh(grassTexture, sandTexture);
+    }
+
+    // Signed distance from the shoreline: negative inland, positive out to sea
+    getShoreDistance(x, z) {
+        const shoreZ = this.shoreDistance +
+            Math.sin(x * 0.05) * 8 +
+            (fbm(x * 0.02, 0, this.seed + 50, 2) - 0.5) * 12;
+        return z - shoreZ;
+    }
+
+    // The procedural height function the grid is sampled from
+    sampleHeight(x, z) {
+        const shore = this.getShoreDistance(x, z);
+
+        // Gentle hills inland
+        const hills = 1 + fbm(x * 0.03, z * 0.03, this.seed) * this.hillHeight;
+
+        // Beach slopes from the grass line down into the sea
+        const beach = Math.max(-shore * 0.08, -this.seaFloorDepth);
+
+        const toBeach = THREE.MathUtils.smoothstep(shore, -this.beachWidth - 10, -this.beachWidth + 10);
+        return this.seaLevel + THREE.MathUtils.lerp(hills, beach, toBeach);
+    }
+
+    // Terrain height at a world position, interpolated from the grid
+    getHeight(x, z) {
+        const half = this.size / 2;
+        const gx = THREE.MathUtils.clamp((x + half) / this.cellSize, 0, this.segments);
+        const gz = THREE.MathUtils.clamp((z + half) / this.cellSize, 0, this.segments);
+        const column = Math.min(Math.floor(gx), this.segments - 1);
+        const row = Math.min(Math.floor(gz), this.segments - 1);
+        const tx = gx - column;
+        const tz = gz - row;
+
+        const stride = this.segments + 1;
+        const h00 = this.heights[row * stride + column];
+        const h10 = this.heights[row * stride + column + 1];
+        const h01 = this.heights[(row + 1) * stride + column];
+        const h11 = this.heights[(row + 1) * stride + column + 1];
+
+        // Same triangle split as PlaneGeometry so we stand exactly on the mesh
+        if (tx + tz <= 1) {
+            return h00 + (h10 - h00) * tx + (h01 - h00) * tz;
+        }
+        return h11 + (h01 - h11) * (1 - tx) + (h10 - h11) * (1 - tz);
+    }
+
+    // Surface normal at a world position
+    getNormal(x, z, target = new THREE.Vector3()) {
+        const e = this.cellSize * 0.5;
+        const dx = this.getHeight(x + e, z) - this.getHeight(x - e, z);
+        const dz = this.getHeight(x, z + e) - this.getHeight(x, z - e);
+        return target.set(-dx, 2 * e, -dz).normalize();
+    }
+
+    // How sandy the ground is (0 = grass, 1 = sand)
+    getSandBlend(x, z, height) {
+        const shore = this.getShoreDistance(x, z);
+        const byShore = THREE.MathUtils.smoothstep(shore, -this.beachWidth - 4, -this.beachWidth + 6);
+        const byHeight = 1 - THREE.MathUtils.smoothstep(height - this.seaLevel, 0.6, 1.4);
+        return Math.max(byShore, byHeight);
+    }
+
+    createMesh(grassTexture, sandTexture) {
+        const geometry = new THREE.PlaneGeometry(this.size, this.size, this.segments, this.segments);
+        geometry.rotateX(-Math.PI / 2);
+
+        const position = geometry.attributes.position;
+        const sandBlend = new Float32Array(position.count);
+        const sandColor = new Float32Array(position.count * 3);
+        const drySand = new THREE.Color(0xe8d5a3);
+        const wetSand = new THREE.Color(0xb09a6b);
+        const color = new THREE.Color();
+
+        for (let i = 0; i < position.count; i++) {
+            const x = position.getX(i);
+            const z = position.getZ(i);
+            const height = this.getHeight(x, z);
+            position.setY(i, height);
+
+            sandBlend[i] = this.getSandBlend(x, z, height);
+
+            // Sand darkens where the waves reach it
+            const wetness = 1 - THREE.MathUtils.smoothstep(height - this.seaLevel, -0.2, 0.4);
+            color.copy(drySand).lerp(wetSand, wetness);
+            color.toArray(sandColor, i * 3);
+        }
+
+        geometry.setAttribute('sandBlend', new THREE.BufferAttribute(sandBlend, 1));
+        geometry.setAttribute('sandColor', new THREE.BufferAttribute(sandColor, 3));
+        geometry.computeVertexNormals();
+
+        const material = new THREE.MeshStandardMaterial({
+            map: grassTexture,
+            color: grassTexture ? 0xffffff : 0x5a8f3c,
+            roughness: 0.8,
+            metalness: 0.1
+        });
+
+        // Sand texture, tinted by the per-vertex sand color
+        if (sandTexture) {
+            material.defines = { USE_SAND_MAP: '' };
+        }
+
+        // Blend from the grass map to sand using the per-vertex attributes
+        material.onBeforeCompile = (shader) => {
+            shader.uniforms.sandMap = { value: sandTexture };
+            shader.uniforms.sandRepeat = { value: sandTexture ? sandTexture.repeat : new THREE.Vector2(1, 1) };
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', `#include <common>
+                    attribute float sandBlend;
+                    attribute vec3 sandColor;
+                    uniform vec2 sandRepeat;
+                    varying float vSandBlend;
+                    varying vec3 vSandColor;
+                    varying vec2 vSandUv;`)
+                .replace('#include <begin_vertex>', `#include <begin_vertex>
+                    vSandBlend = sandBlend;
+                    vSandColor = sandColor;
+                    vSandUv = uv * sandRepeat;`);
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', `#include <common>
+                    varying float vSandBlend;
+                    varying vec3 vSandColor;
+                    varying vec2 vSandUv;
+                    #ifdef USE_SAND_MAP
+                        uniform sampler2D sandMap;
+                    #endif`)
+                .replace('#include <map_fragment>', `#include <map_fragment>
+                    vec3 sand = vSandColor;
+                    #ifdef USE_SAND_MAP
+                        sand *= texture2D(sandMap, vSandUv).rgb;
+                    #endif
+                    diffuseColor.rgb = mix(diffuseColor.rgb, sand, vSandBlend);`);
+        };
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.receiveShadow = true;
+        return mesh;
+    }
+}
@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+import { Random } from './random.js';
+
+const smooth = t => t * t * (3 - 2 * t);
+
+// Tileable value noise in [0, 1]: random values on a grid cellsX by cellsY that
+// wraps at the edges, smoothly interpolated. Sampled with u and v in [0, 1).
+function createNoise(random, cellsX, cellsY = cellsX) {
+    const grid = new Float32Array(cellsX * cellsY);
+    for (let i = 0; i < grid.length; i++) {
+        grid[i] = random.next();
+    }
+    const at = (i, j) => grid[(j % cellsY) * cellsX + (i % cellsX)];
+
+    return (u, v) => {
+        const x = u * cellsX;
+        const y = v * cellsY;
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const tx = smooth(x - x0);
+        const ty = smooth(y - y0);
+        const top = THREE.MathUtils.lerp(at(x0, y0), at(x0 + 1, y0), tx);
+        const bottom = THREE.MathUtils.lerp(at(x0, y0 + 1), at(x0 + 1, y0 + 1), tx);
+        return THREE.MathUtils.lerp(top, bottom, ty);
+    };
+}
+
+// Octaves of noise, each twice as fine and half as strong, normalised to [0, 1]
+function createFractalNoise(random, cellsX, cellsY, octaves) {
+    const layers = [];
+    for (let octave = 0; octave < octaves; octave++) {
+        layers.push(createNoise(random, cellsX << octave, cellsY << octave));
+    }
+    const total = 2 - Math.pow(0.5, octaves - 1);
+    return (u, v) => {
+        let value = 0;
+        let amplitude = 1;
+        for (const layer of layers) {
+            value += layer(u, v) * amplitude;
+            amplitude *= 0.5;
+        }
+        return value / total;
+    };
+}
+
+// Repeating sRGB texture from shade(u, v, rgb), which fills rgb with 0-1 values
+function createTexture(size, shade) {
+    const data = new Uint8Array(size * size * 4);
+    const rgb = [0, 0, 0];
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            shade(x / size, y / size, rgb);
+            const i = (y * size + x) * 4;
+            data[i] = THREE.MathUtils.clamp(rgb[0], 0, 1) * 255;
+            data[i + 1] = THREE.MathUtils.clamp(rgb[1], 0, 1) * 255;
+            data[i + 2] = THREE.MathUtils.clamp(rgb[2], 0, 1) * 255;
+            data[i + 3] = 255;
+        }
+    }
+
+    const texture = new THREE.DataTexture(data, size, size);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.generateMipmaps = true;
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// Patchy lawn: light and dark greens with dry spots and fine blade speckle
+export function createGrassTexture({ size = 256, seed = 1 } = {}) {
+    const random = new Random(seed).fork('grass');
+    const patches = createFractalNoise(random, 4, 4, 4);
+    const dry = createFractalNoise(random, 3, 3, 3);
+    const blades = createNoise(random, 128);
+
+    return createTexture(size, (u, v, rgb) => {
+        const shade = patches(u, v);
+        const dryness = THREE.MathUtils.smoothstep(dry(u, v), 0.55, 0.8) * 0.5;
+        const speckle = 0.8 + blades(u, v) * 0.4;
+        rgb[0] = (0.22 + shade * 0.15 + dryness * 0.3) * speckle;
+        rgb[1] = (0.42 + shade * 0.2 + dryness * 0.1) * speckle;
+        rgb[2] = (0.14 + shade * 0.08) * speckle;
+    });
+}
+
+// Near-white grains and wind ripples; the terrain tints it dry or wet
+export function createSandTexture({ size = 256, seed = 1 } = {}) {
+    const random = new Random(seed).fork('sand');
+    const grains = createNoise(random, 128);
+    const drift = createFractalNoise(random, 4, 4, 3);
+
+    return createTexture(size, (u, v, rgb) => {
+        const ripple = Math.sin((v + drift(u, v) * 0.15) * Math.PI * 2 * 12) * 0.03;
+        const value = 0.9 + grains(u, v) * 0.1 + ripple;
+        rgb[0] = value;
+        rgb[1] = value * 0.98;
+        rgb[2] = value * 0.95;
+    });
+}
+
+// Vertical ridges and cracks running up the trunk
+export function createBarkTexture({ size = 256, seed = 1 } = {}) {
+    const random = new Random(seed).fork('bark');
+    const ridges = createFractalNoise(random, 12, 2, 3);
+    const cracks = createNoise(random, 24, 4);
+
+    return createTexture(size, (u, v, rgb) => {
+        const ridge = ridges(u, v);
+        const crack = THREE.MathUtils.smoothstep(cracks(u, v), 0.15, 0.3);
+        const value = (0.6 + ridge * 0.4) * (0.5 + crack * 0.5);
+        rgb[0] = 0.36 * value;
+        rgb[1] = 0.24 * value;
+        rgb[2] = 0.16 * value;
+    });
+}
+
+// Built-in textures for when an asset is missing or fails to load
+export const ProceduralTextures = {
+    grass: createGrassTexture,
+    sand: createSandTexture,
+    bark: createBarkTexture
+};
@@ -0,0 +1,229 @@
+import * as THREE from 'three';
+
+// Frame-rate independent blend factor for exponential smoothing
+function damp(sharpness, deltaTime) {
+    return 1 - Math.exp(-sharpness * deltaTime);
+}
+
+// Shortest signed difference between two angles
+function angleDelta(from, to) {
+    return Math.atan2(Math.sin(to - from), Math.cos(to - from));
+}
+
+// Third-person camera on a spring arm behind the player's shoulder.
+// Mouse look uses pointer lock; the arm shortens when trees or terrain get
+// between the player and the camera, and lock-on keeps an enemy in frame.
+export class ThirdPersonCamera {
+    constructor(camera, { target, player = null, terrain = null, collision = null, input = null, domElement = null }) {
+        this.camera = camera;
+        this.target = target;           // Object the camera follows (the character)
+        this.player = player;           // For the dash/sprint FOV kick
+        this.terrain = terrain;
+        this.collision = collision;
+        this.input = input;             // Gamepad look from Input.look
+        this.domElement = domElement;
+
+        // Orientation: yaw 0 puts the camera behind a character facing -Z
+        this.yaw = 0;
+        this.pitch = 0.35;
+        this.minPitch = -0.3;
+        this.maxPitch = 1.2;
+        this.mouseSensitivity = 0.0025;     // Radians per pixel
+        this.stickSensitivity = 3;          // Radians per second at full tilt
+        this.invertY = false;
+
+        // Spring arm
+        this.pivotHeight = 1.6;             // Look at the character's head rather than their feet
+        this.shoulderOffset = 0.6;          // Sideways offset, positive is over the right shoulder
+        this.distance = 6;                  // Arm length when nothing is in the way
+        this.minDistance = 3;
+        this.maxDistance = 12;
+        this.armLength = this.distance;     // Current, possibly pulled-in length
+        this.armExtendSharpness = 4;        // How quickly the arm extends again after an obstruction
+        this.followSharpness = 12;          // How tightly the pivot follows the character
+        this.collisionRadius = 0.3;         // Keeps the near plane out of trunks
+        this.terrainClearance = 0.3;
+        this.pivot = new THREE.Vector3().copy(target.position).setY(target.position.y + this.pivotHeight);
+
+        // Field of view kick when moving fast
+        this.baseFov = camera.fov;
+        this.sprintFovKick = 8;
+        this.dashFovKick = 20;
+        this.fovSharpness = 6;
+
+        // Lock-on
+        this.lockOnTarget = null;           // Enemy being framed
+        this.lockOnRange = 20;
+        this.lockOnBreakRange = 30;         // Release the lock past this distance
+        this.lockOnSharpness = 8;
+        this.lockOnPitch = 0.3;
+
+        if (domElement) {
+            this.onMouseMove = this.onMouseMove.bind(this);
+            this.onWheel = this.onWheel.bind(this);
+            this.onClick = () => {
+                if (document.pointerLockElement !== domElement) {
+                    domElement.requestPointerLock();
+                }
+            };
+            domElement.addEventListener('click', this.onClick);
+            domElement.addEventListener('wheel', this.onWheel, { passive: true });
+            document.addEventListener('mousemove', this.onMouseMove);
+        }
+    }
+
+    get isPointerLocked() {
+        return this.domElement !== null && document.pointerLockElement === this.domElement;
+    }
+
+    onMouseMove(event) {
+        if (!this.isPointerLocked || this.lockOnTarget) return;
+        this.rotate(-event.movementX * this.mouseSensitivity, event.movementY * this.mouseSensitivity);
+    }
+
+    onWheel(event) {
+        this.distance = THREE.MathUtils.clamp(this.distance + Math.sign(event.deltaY), this.minDistance, this.maxDistance);
+    }
+
+    // Turn the camera; positive pitch looks down from above
+    rotate(yawDelta, pitchDelta) {
+        this.yaw += yawDelta;
+        this.pitch = THREE.MathUtils.clamp(
+            this.pitch + (this.invertY ? -pitchDelta : pitchDelta),
+            this.minPitch,
+            this.maxPitch
+        );
+    }
+
+    // Lock on to the enemy closest to the centre of the view, or release the current lock
+    toggleLockOn(enemies) {
+        if (this.lockOnTarget) {
+            this.lockOnTarget = null;
+            return;
+        }
+
+        const forward = new THREE.Vector3(-Math.sin(this.yaw), 0, -Math.cos(this.yaw));
+        const toEnemy = new THREE.Vector3();
+        let bestScore = Infinity;
+        for (const enemy of enemies) {
+            toEnemy.subVectors(enemy.object.position, this.target.position).setY(0);
+            const distance = toEnemy.length();
+            if (distance > this.lockOnRange || distance < 1e-6) continue;
+
+            // Prefer enemies near the middle of the screen, then nearby ones
+            const facing = toEnemy.divideScalar(distance).dot(forward);
+            const score = distance * (2 - facing);
+            if (score < bestScore) {
+                bestScore = score;
+                this.lockOnTarget = enemy;
+            }
+        }
+    }
+
+    // Once per rendered frame, after the character is interpolated
+    update(deltaTime) {
+        // Gamepad look
+        if (this.input && !this.lockOnTarget) {
+            this.rotate(
+                -this.input.look.x * this.stickSensitivity * deltaTime,
+                -this.input.look.y * this.stickSensitivity * deltaTime
+            );
+        }
+
+        this.updateLockOn(deltaTime);
+
+        // Smoothly follow the character
+        const targetPosition = this.target.position;
+        this.pivot.x += (targetPosition.x - this.pivot.x) * damp(this.followSharpness, deltaTime);
+        this.pivot.y += (targetPosition.y + this.pivotHeight - this.pivot.y) * damp(this.followSharpness, deltaTime);
+        this.pivot.z += (targetPosition.z - this.pivot.z) * damp(this.followSharpness, deltaTime);
+
+        // Arm origin over the shoulder and its direction back towards the camera
+        const cosPitch = Math.cos(this.pitch);
+        const origin = new THREE.Vector3(
+            this.pivot.x + Math.cos(this.yaw) * this.shoulderOffset,
+            this.pivot.y,
+            this.pivot.z - Math.sin(this.yaw) * this.shoulderOffset
+        );
+        const direction = new THREE.Vector3(
+            Math.sin(this.yaw) * cosPitch,
+            Math.sin(this.pitch),
+            Math.cos(this.yaw) * cosPitch
+        );
+
+        // Snap in when something blocks the arm, ease back out when it clears
+        const clearLength = this.getClearArmLength(origin, direction, this.distance);
+        if (clearLength < this.armLength) {
+            this.armLength = clearLength;
+        } else {
+            this.armLength += (clearLength - this.armLength) * damp(this.armExtendSharpness, deltaTime);
+        }
+
+        this.camera.position.copy(origin).addScaledVector(direction, this.armLength);
+        this.camera.rotation.set(-this.pitch, this.yaw, 0, 'YXZ');
+
+        this.updateFov(deltaTime);
+    }
+
+    updateLockOn(deltaTime) {
+        const enemy = this.lockOnTarget;
+        if (!enemy) return;
+
+        const away = new THREE.Vector3().subVectors(this.target.position, enemy.object.position).setY(0);
+        if (enemy.isDead || away.length() > this.lockOnBreakRange) {
+            this.lockOnTarget = null;
+            return;
+        }
+
+        // Swing round behind the character so the enemy is in front of the camera
+        const targetYaw = Math.atan2(away.x, away.z);
+        this.yaw += angleDelta(this.yaw, targetYaw) * damp(this.lockOnSharpness, deltaTime);
+        this.pitch += (this.lockOnPitch - this.pitch) * damp(this.lockOnSharpness, deltaTime);
+    }
+
+    // Longest arm up to maxLength that stays clear of colliders and the ground
+    getClearArmLength(origin, direction, maxLength) {
+        let length = maxLength;
+
+        if (this.collision) {
+            const hit = this.collision.raycast(origin, direction, maxLength, this.collisionRadius);
+            if (hit) length = hit.distance;
+        }
+
+        if (this.terrain) {
+            const step = 0.25;
+            const point = new THREE.Vector3();
+            for (let distance = step; distance <= length; distance += step) {
+                point.copy(origin).addScaledVector(direction, distance);
+                if (point.y < this.terrain.getHeight(point.x, point.z) + this.terrainClearance) {
+                    length = distance - step;
+                    break;
+                }
+            }
+        }
+
+        return Math.max(length, 0.5);
+    }
+
+    updateFov(deltaTime) {
+        let kick = 0;
+        if (this.player?.isDashing) {
+            kick = this.dashFovKick;
+        } else if (this.player?.characterState === 'sprinting') {
+            kick = this.sprintFovKick;
+        }
+
+        const fov = this.camera.fov + (this.baseFov + kick - this.camera.fov) * damp(this.fovSharpness, deltaTime);
+        if (Math.abs(fov - this.camera.fov) > 0.01) {
+            this.camera.fov = fov;
+            this.camera.updateProjectionMatrix();
+        }
+    }
+
+    dispose() {
+        if (!this.domElement) return;
+        this.domElement.removeEventListener('click', this.onClick);
+        this.domElement.removeEventListener('wheel', this.onWheel);
+        document.removeEventListener('mousemove', this.onMouseMove);
+    }
+}
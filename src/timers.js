@@ -0,0 +1,91 @@
+// Easing functions for tweens, taking and returning progress in the 0-1 range
+export const Easing = {
+    linear: (t) => t,
+    easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOutQuad: (t) => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2
+};
+
+// Game clock with timers and tweens.
+// Everything runs on game time, which only advances through update(), so
+// pausing or slowing the clock pauses or slows every cooldown and tween with it.
+export class GameClock {
+    constructor() {
+        this.time = 0;          // Game time in seconds
+        this.timeScale = 1;     // 0.5 = half speed slow-mo
+        this.paused = false;
+        this.tasks = [];
+    }
+
+    // Convert real elapsed time into game time
+    scale(realDeltaTime) {
+        return this.paused ? 0 : realDeltaTime * this.timeScale;
+    }
+
+    // Call a function once after a delay in game seconds
+    after(delay, callback) {
+        return this.addTask({
+            start: this.time,
+            duration: delay,
+            onComplete: callback
+        });
+    }
+
+    // Call onUpdate with eased progress (0-1) every update for the duration
+    tween(duration, onUpdate, { easing = Easing.linear, onComplete = null } = {}) {
+        const task = this.addTask({
+            start: this.time,
+            duration,
+            easing,
+            onUpdate,
+            onComplete
+        });
+        onUpdate(easing(0), 0);
+        return task;
+    }
+
+    addTask(task) {
+        task.cancelled = false;
+        task.cancel = () => this.cancel(task);
+        this.tasks.push(task);
+        return task;
+    }
+
+    cancel(task) {
+        if (!task || task.cancelled) return;
+        task.cancelled = true;
+        const index = this.tasks.indexOf(task);
+        if (index !== -1) {
+            this.tasks.splice(index, 1);
+        }
+    }
+
+    cancelAll() {
+        for (const task of this.tasks) {
+            task.cancelled = true;
+        }
+        this.tasks.length = 0;
+    }
+
+    // Advance game time by an already scaled delta and run due tasks
+    update(deltaTime) {
+        this.time += deltaTime;
+
+        // Iterate over a copy so callbacks can schedule or cancel tasks
+        for (const task of [...this.tasks]) {
+            if (task.cancelled) continue;
+
+            const progress = task.duration > 0
+                ? Math.min(1, (this.time - task.start) / task.duration)
+                : 1;
+
+            if (task.onUpdate) {
+                task.onUpdate(task.easing(progress), progress);
+            }
+
+            if (progress >= 1 && !task.cancelled) {
+                this.cancel(task);
+                if (task.onComplete) task.onComplete();
+            }
+        }
+    }
+}
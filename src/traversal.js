@@ -0,0 +1,288 @@
+import * as THREE from 'three';
+import { getDirectionFromYaw, getYaw } from './movementIntent.js';
+
+const Up = new THREE.Vector3(0, 1, 0);
+
+// Traversal moves against the flat sides of box colliders (rocks and crates):
+// wall-running, wall-jumps, grabbing ledges and mantling up onto them. Tree trunks
+// are too thin to run along or stand on, so they're only ever bumped into.
+// Owned by the PlayerController, which steps it every update while airborne.
+// Sets the player's isWallRunning, isHanging and isMantling flags.
+export class Traversal {
+    constructor(player) {
+        this.player = player;
+
+        // Wall-running
+        this.wallReach = 0.35;          // How far past the capsule a wall can be to run on it
+        this.wallRunMinSpeed = 0.03;    // Horizontal speed needed to start
+        this.wallRunMinHeight = 0.5;    // Height above the ground needed to start
+        this.wallRunMaxAngle = THREE.MathUtils.degToRad(60); // Widest angle between the run and the wall
+        this.wallRunDuration = 1.2;     // Seconds before we peel off the wall
+        this.wallRunLift = 0.03;        // Upward velocity when the run starts
+        this.wallRunGravity = [0.1, 1]; // Gravity multiplier at the start and end of the run
+        this.wallJumpForce = 0.11;      // Upward velocity of a wall-jump
+        this.wallJumpPush = 0.08;       // Speed away from the wall
+        this.wallRunTime = 0;
+        this.wallSide = 0;              // 1 with the wall on our left, -1 on our right
+        this.wallNormal = new THREE.Vector3();
+        this.lastWall = null;           // Can't run the same wall twice without landing
+
+        // Ledges
+        this.grabMinHeight = 1.0;       // Ledges between these heights above our feet can be grabbed
+        this.grabMaxHeight = 2.2;
+        this.ledgeReach = 0.4;          // How far past the capsule a ledge can be grabbed
+        this.hangHeight = 1.9;          // Ledge height above our feet while hanging
+        this.grabCooldown = 0.4;        // Seconds after letting go before grabbing again
+        this.mantleDuration = 0.6;
+        this.mantleTime = 0;
+        this.mantleFrom = new THREE.Vector3();
+        this.mantleTo = new THREE.Vector3();
+        this.ledge = new THREE.Vector3(); // Where we stand once we've climbed up
+        this.grabTimer = 0;
+    }
+
+    get isActive() {
+        const player = this.player;
+        return player.isWallRunning || player.isHanging || player.isMantling;
+    }
+
+    // Step wall-runs, hangs and mantles, or look for a wall or ledge to start one.
+    // Returns whether traversal moved the character this step, in place of gravity.
+    update(deltaTime) {
+        const player = this.player;
+        this.grabTimer = Math.max(0, this.grabTimer - deltaTime);
+
+        // Finish climbing even though we reach the ground on top just before the end
+        if (player.isMantling) {
+            this.updateMantle(deltaTime);
+            return true;
+        }
+        if (player.isGrounded) {
+            this.lastWall = null;
+            if (player.isWallRunning) {
+                this.endWallRun();
+            }
+            return false;
+        }
+        if (!player.collision) return false;
+
+        if (player.isHanging) {
+            return true;
+        }
+        if (this.tryGrabLedge()) {
+            return true;
+        }
+        if (player.isWallRunning) {
+            return this.updateWallRun(deltaTime);
+        }
+        return this.tryStartWallRun();
+    }
+
+    // Jump input: a wall-jump or a mantle. Returns false if it's an ordinary jump.
+    jump() {
+        const player = this.player;
+        if (player.isHanging) {
+            this.startMantle();
+            return true;
+        }
+        if (player.isWallRunning) {
+            this.wallJump();
+            return true;
+        }
+        return player.isMantling;
+    }
+
+    // Drop out of whatever traversal move is going on
+    cancel() {
+        const player = this.player;
+        if (player.isWallRunning) {
+            this.endWallRun();
+        }
+        if (player.isHanging || player.isMantling) {
+            player.isHanging = false;
+            player.isMantling = false;
+            this.grabTimer = this.grabCooldown;
+        }
+    }
+
+    // Let go of a ledge and fall
+    letGo() {
+        if (!this.player.isHanging) return;
+        this.cancel();
+        this.player.velocity.y = 0;
+    }
+
+    // Only boxes have sides to run along and tops to stand on
+    isClimbable(collider) {
+        return collider.type === 'box';
+    }
+
+    // Chest-height ray out from the player, as a collision raycast hit or null
+    castFromChest(direction, reach) {
+        const player = this.player;
+        const origin = player.character.position.clone();
+        origin.y += player.collisionHeight * 0.6;
+        return player.collision.raycast(origin, direction, player.collisionRadius + reach);
+    }
+
+    tryStartWallRun() {
+        const player = this.player;
+        const momentum = player.momentum;
+        const speed = Math.hypot(momentum.x, momentum.z);
+        if (speed < this.wallRunMinSpeed || player.isRolling || !player.intent.hasInput) return false;
+        if (player.character.position.y - player.getGroundHeight() < this.wallRunMinHeight) return false;
+
+        // Look for a wall on either side of the way we're going
+        const forward = new THREE.Vector3(momentum.x, 0, momentum.z).divideScalar(speed);
+        const left = new THREE.Vector3().crossVectors(Up, forward);
+        for (const side of [1, -1]) {
+            const hit = this.castFromChest(left.clone().multiplyScalar(side), this.wallReach);
+            if (!hit || hit.collider === this.lastWall || !this.isClimbable(hit.collider)) continue;
+
+            // Running into the wall head-on is a ledge grab or a bump, not a wall-run
+            if (Math.abs(forward.dot(hit.normal)) > Math.sin(this.wallRunMaxAngle)) continue;
+
+            this.startWallRun(hit, side);
+            return true;
+        }
+        return false;
+    }
+
+    startWallRun(hit, side) {
+        const player = this.player;
+        player.isWallRunning = true;
+        player.isRolling = false;
+        player.velocity.y = this.wallRunLift; // Level out the jump's arc along the wall
+        this.wallRunTime = 0;
+        this.wallSide = side;
+        this.wallNormal.copy(hit.normal);
+        this.lastWall = hit.collider;
+    }
+
+    // Run along the wall under reduced gravity that builds up over the run.
+    // Returns false once we've come off the wall.
+    updateWallRun(deltaTime) {
+        const player = this.player;
+        this.wallRunTime += deltaTime;
+        const progress = this.wallRunTime / this.wallRunDuration;
+
+        const hit = this.castFromChest(this.wallNormal.clone().negate(), this.wallReach);
+        if (progress >= 1 || !hit || hit.collider !== this.lastWall || !player.intent.hasInput) {
+            this.endWallRun();
+            return false;
+        }
+        this.wallNormal.copy(hit.normal);
+
+        // Keep our speed along the wall
+        const momentum = player.momentum;
+        const speed = Math.max(Math.hypot(momentum.x, momentum.z), player.maxRunSpeed);
+        momentum.y = 0;
+        momentum.projectOnPlane(this.wallNormal).setLength(speed);
+        player.character.position.add(momentum);
+
+        // Stay against the wall
+        const gap = hit.distance - player.collisionRadius - 0.02;
+        player.character.position.addScaledVector(this.wallNormal, -gap);
+
+        const [startGravity, endGravity] = this.wallRunGravity;
+        player.velocity.y += player.gravity * THREE.MathUtils.lerp(startGravity, endGravity, progress * progress);
+        player.character.position.y += player.velocity.y;
+        return true;
+    }
+
+    endWallRun() {
+        this.player.isWallRunning = false;
+    }
+
+    // Kick off the wall, up and away from it, with the double jump back
+    wallJump() {
+        const player = this.player;
+        this.endWallRun();
+        player.jumpController.launch(this.wallJumpForce);
+        player.momentum.multiplyScalar(0.5).addScaledVector(this.wallNormal, this.wallJumpPush);
+        player.hasDoubleJump = true;
+    }
+
+    // Grab the top of a wall in front of us if it's in reach and there's room to
+    // stand on it
+    tryGrabLedge() {
+        const player = this.player;
+        if (this.grabTimer > 0 || player.velocity.y > 0.02 || player.isRolling) return false;
+
+        const forward = getDirectionFromYaw(player.character.rotation.y);
+        const hit = this.castFromChest(forward, this.ledgeReach);
+        if (!hit || !this.isClimbable(hit.collider)) return false;
+
+        const position = player.character.position;
+        const top = hit.collider.top;
+        const height = top - position.y;
+        if (height < this.grabMinHeight || height > this.grabMaxHeight) return false;
+
+        // Room to stand on top: something to stand on, and no wall in the way
+        const wallNormal = hit.normal;
+        const ledge = position.clone()
+            .addScaledVector(wallNormal, -(hit.distance + player.collisionRadius));
+        ledge.y = top;
+        const support = player.collision.getTopBelow(ledge.x, ledge.z, player.collisionRadius * 0.5, top + 0.05);
+        if (support < top - 0.05) return false;
+        const above = position.clone();
+        above.y = top + player.collisionHeight * 0.5;
+        if (player.collision.raycast(above, forward, hit.distance + player.collisionRadius * 2)) return false;
+
+        this.grabLedge(hit, ledge);
+        return true;
+    }
+
+    // Hang from the ledge facing the wall, hands on the top
+    grabLedge(hit, ledge) {
+        const player = this.player;
+        if (player.isWallRunning) {
+            this.endWallRun();
+        }
+        player.isHanging = true;
+        player.isRolling = false;
+        player.hasDoubleJump = true;
+        player.velocity.y = 0;
+        player.momentum.set(0, 0, 0);
+
+        const position = player.character.position;
+        position.addScaledVector(hit.normal, player.collisionRadius + 0.02 - hit.distance);
+        position.y = ledge.y - this.hangHeight;
+        player.character.rotation.y = getYaw(hit.normal.clone().negate());
+        this.ledge.copy(ledge);
+    }
+
+    startMantle() {
+        const player = this.player;
+        player.isHanging = false;
+        player.isMantling = true;
+        this.mantleTime = 0;
+        this.mantleFrom.copy(player.character.position);
+        this.mantleTo.copy(this.ledge);
+    }
+
+    // Pull up to the ledge's height, then step forward onto it
+    updateMantle(deltaTime) {
+        const player = this.player;
+        this.mantleTime += deltaTime;
+        const progress = Math.min(1, this.mantleTime / this.mantleDuration);
+
+        const rise = THREE.MathUtils.smoothstep(progress, 0, 0.5);
+        const step = THREE.MathUtils.smoothstep(progress, 0.5, 1);
+        const position = player.character.position;
+        position.x = THREE.MathUtils.lerp(this.mantleFrom.x, this.mantleTo.x, step);
+        position.z = THREE.MathUtils.lerp(this.mantleFrom.z, this.mantleTo.z, step);
+        position.y = THREE.MathUtils.lerp(this.mantleFrom.y, this.mantleTo.y, rise);
+
+        if (progress >= 1) {
+            player.isMantling = false;
+            player.isGrounded = true;
+            player.velocity.y = 0;
+            this.lastWall = null;
+        }
+    }
+
+    get mantleProgress() {
+        return Math.min(1, this.mantleTime / this.mantleDuration);
+    }
+}
@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+
+// Palm tree parts shared by every tree, with their base at y = 0 and unit height
+// so each instance only needs a transform
+function createPalmParts(radialSegments) {
+    const trunk = new THREE.CylinderGeometry(0.2, 0.3, 1, radialSegments);
+    trunk.translate(0, 0.5, 0);
+    const leaves = new THREE.ConeGeometry(2, 1, radialSegments);
+    leaves.translate(0, 0.5, 0);
+    return { trunk, leaves };
+}
+
+// Stable pseudo-random 0-1 per tree from where it stands, so thinning always
+// drops the same trees whatever order they come in
+function thinningOrder(tree) {
+    const value = Math.sin(tree.x * 12.9898 + tree.z * 78.233) * 43758.5453;
+    return value - Math.floor(value);
+}
+
+// Palm trees drawn as InstancedMesh batches.
+// Trees are grouped into square chunks; each chunk is drawn at full detail up
+// close, at low detail further out and not at all past the cull distance.
+// Density thins out the low detail band only: the trees are the world's layout and
+// all of them collide, so every tree near enough to bump into is always drawn.
+export class Vegetation {
+    constructor(trees, { chunkSize = 40, lodDistance = 60, cullDistance = 160, density = 1, barkTexture = null } = {}) {
+        this.group = new THREE.Group();
+        this.chunkSize = chunkSize;
+        this.lodDistance = lodDistance;     // Switch to low detail beyond this
+        this.cullDistance = cullDistance;   // Hide trees beyond this
+        this.density = density;             // Share of the distant trees drawn, 0-1
+
+        // One set of materials for every tree, tinted per instance
+        this.materials = {
+            trunk: new THREE.MeshPhongMaterial({ map: barkTexture, color: barkTexture ? 0xffffff : 0x4A2F21, shininess: 0 }),
+            leaves: new THREE.MeshPhongMaterial({ color: 0x2E7D32, shininess: 0 })
+        };
+
+        // Level of detail geometries, from closest to furthest
+        this.lods = [createPalmParts(8), createPalmParts(4)];
+
+        this.chunks = this.createChunks(trees);
+        this.setDensity(density);
+    }
+
+    createChunks(trees) {
+        // Bucket trees by chunk
+        const buckets = new Map();
+        for (const tree of trees) {
+            const key = `${Math.floor(tree.x / this.chunkSize)},${Math.floor(tree.z / this.chunkSize)}`;
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(tree);
+        }
+
+        const chunks = [];
+        for (const chunkTrees of buckets.values()) {
+            // Chunk bounds on the ground plane for distance checks
+            const center = new THREE.Vector3();
+            for (const tree of chunkTrees) {
+                center.x += tree.x;
+                center.z += tree.z;
+            }
+            center.divideScalar(chunkTrees.length);
+            let radius = 0;
+            for (const tree of chunkTrees) {
+                radius = Math.max(radius, Math.hypot(tree.x - center.x, tree.z - center.z));
+            }
+
+            // Distant batches list their trees in thinning order, so drawing fewer
+            // instances drops trees evenly across the chunk
+            const thinned = [...chunkTrees].sort((a, b) => thinningOrder(a) - thinningOrder(b));
+            const levels = this.lods.map((parts, level) => this.createBatch(level === 0 ? chunkTrees : thinned, parts, level === 0));
+            for (const level of levels) {
+                this.group.add(level.trunk, level.leaves);
+            }
+
+            const chunk = { center, radius, levels, lod: 0 };
+            this.setChunkLod(chunk, 0);
+            chunks.push(chunk);
+        }
+        return chunks;
+    }
+
+    // Instanced trunks and leaves for a chunk at one level of detail
+    createBatch(trees, parts, castShadow) {
+        const trunk = new THREE.InstancedMesh(parts.trunk, this.materials.trunk, trees.length);
+        const leaves = new THREE.InstancedMesh(parts.leaves, this.materials.leaves, trees.length);
+
+        const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
+        const rotation = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        const up = new THREE.Vector3(0, 1, 0);
+        const color = new THREE.Color();
+
+        trees.forEach((tree, i) => {
+            const trunkHeight = 4 * tree.scale;
+            const leavesHeight = 3 * tree.scale;
+            rotation.setFromAxisAngle(up, tree.rotation);
+
+            // Trunk with its base on the ground
+            position.set(tree.x, tree.y, tree.z);
+            scale.set(1, trunkHeight, 1);
+            trunk.setMatrixAt(i, matrix.compose(position, rotation, scale));
+
+            // Leaves directly on top of the trunk
+            position.y += trunkHeight;
+            scale.set(1, leavesHeight, 1);
+            leaves.setMatrixAt(i, matrix.compose(position, rotation, scale));
+
+            // Per-tree tint so the forest isn't uniform
+            const tint = tree.tint ?? 1;
+            trunk.setColorAt(i, color.setScalar(tint));
+            leaves.setColorAt(i, color.setRGB(tint * 0.95, tint, tint * 0.9));
+        });
+
+        for (const mesh of [trunk, leaves]) {
+            mesh.castShadow = castShadow;
+            mesh.receiveShadow = true;
+            mesh.instanceMatrix.needsUpdate = true;
+            mesh.instanceColor.needsUpdate = true;
+            mesh.computeBoundingSphere(); // Lets three.js frustum cull whole chunks
+        }
+
+        return { trunk, leaves };
+    }
+
+    // Draw this share of the trees in the low detail band
+    setDensity(density) {
+        this.density = THREE.MathUtils.clamp(density, 0, 1);
+        for (const chunk of this.chunks) {
+            for (const level of chunk.levels.slice(1)) {
+                const count = Math.round(level.trunk.instanceMatrix.count * this.density);
+                level.trunk.count = count;
+                level.leaves.count = count;
+            }
+        }
+    }
+
+    setChunkLod(chunk, lod) {
+        chunk.lod = lod;
+        chunk.levels.forEach((level, index) => {
+            level.trunk.visible = index === lod;
+            level.leaves.visible = index === lod;
+        });
+    }
+
+    // Pick each chunk's level of detail from its distance to the camera
+    update(camera) {
+        const cameraPosition = camera.position;
+        for (const chunk of this.chunks) {
+            const distance = Math.hypot(
+                cameraPosition.x - chunk.center.x,
+                cameraPosition.z - chunk.center.z
+            ) - chunk.radius;
+
+            let lod = -1;
+            if (distance < this.lodDistance) {
+                lod = 0;
+            } else if (distance < this.cullDistance) {
+                lod = 1;
+            }
+
+            if (lod !== chunk.lod) {
+                this.setChunkLod(chunk, lod);
+            }
+        }
+    }
+
+    dispose() {
+        for (const parts of this.lods) {
+            parts.trunk.dispose();
+            parts.leaves.dispose();
+        }
+        this.materials.trunk.dispose();
+        this.materials.leaves.dispose();
+        for (const chunk of this.chunks) {
+            for (const level of chunk.levels) {
+                level.trunk.dispose();
+                level.leaves.dispose();
+            }
+        }
+    }
+}
@@ -0,0 +1,80 @@
+import * as THREE from 'three';
+
+// Animated sea surface. The waves are one sum of sines, evaluated by getHeight() for
+// swimming and by the vertex shader for what is drawn, so the simulation never touches
+// the mesh and swimming still bobs with the drawn surface.
+export class Water {
+    constructor({ size = 400, segments = 80, seaLevel = 0 } = {}) {
+        this.seaLevel = seaLevel;
+        this.time = 0;
+
+        // Gentle swell made of a few sine waves: [directionX, directionZ, frequency, speed, amplitude]
+        this.waves = [
+            [1.0, 0.3, 0.15, 1.2, 0.08],
+            [0.2, 1.0, 0.2, 0.9, 0.06],
+            [-0.7, 0.7, 0.35, 1.7, 0.03]
+        ];
+
+        const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
+        geometry.rotateX(-Math.PI / 2);
+
+        const material = new THREE.MeshStandardMaterial({
+            color: 0x2a7fb8,
+            transparent: true,
+            opacity: 0.8,
+            roughness: 0.2,
+            metalness: 0.1
+        });
+        this.uniforms = { waveTime: { value: 0 } };
+        material.onBeforeCompile = (shader) => this.addWaves(shader);
+
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.position.y = seaLevel;
+        this.mesh.receiveShadow = true;
+    }
+
+    // Water surface height at a world position
+    getHeight(x, z) {
+        let height = this.seaLevel;
+        for (const [directionX, directionZ, frequency, speed, amplitude] of this.waves) {
+            height += Math.sin((x * directionX + z * directionZ) * frequency + this.time * speed) * amplitude;
+        }
+        return height;
+    }
+
+    // Displace the flat plane by the waves in the vertex shader, with normals from
+    // the waves' slopes. The mesh sits at the origin, so local x and z are world x and z.
+    addWaves(shader) {
+        shader.uniforms.waveTime = this.uniforms.waveTime;
+        const float = value => value.toFixed(4);
+        const phases = this.waves.map(([directionX, directionZ, frequency, speed]) =>
+            `(p.x * ${float(directionX)} + p.y * ${float(directionZ)}) * ${float(frequency)} + waveTime * ${float(speed)}`);
+        const height = this.waves.map((wave, i) => `sin(${phases[i]}) * ${float(wave[4])}`);
+        // Slope of each wave: its amplitude times frequency along its direction
+        const slope = this.waves.map(([directionX, directionZ, frequency, , amplitude], i) =>
+            `vec2(${float(directionX)}, ${float(directionZ)}) * (cos(${phases[i]}) * ${float(frequency * amplitude)})`);
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+                uniform float waveTime;
+                float waveHeight(vec2 p) {
+                    return ${height.join(' + ')};
+                }
+                vec3 waveNormal(vec2 p) {
+                    vec2 slope = ${slope.join(' + ')};
+                    return normalize(vec3(-slope.x, 1.0, -slope.y));
+                }`)
+            .replace('#include <beginnormal_vertex>', 'vec3 objectNormal = waveNormal(position.xz);')
+            .replace('#include <begin_vertex>', 'vec3 transformed = position + vec3(0.0, waveHeight(position.xz), 0.0);');
+    }
+
+    // Step the waves; getHeight() follows straight away
+    update(time) {
+        this.time = time;
+    }
+
+    // Once per rendered frame: move the drawn waves to the simulation's time
+    updateView() {
+        this.uniforms.waveTime.value = this.time;
+    }
+}
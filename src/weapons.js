@@ -0,0 +1,232 @@
+import * as THREE from 'three';
+
+// Weapon meshes have the grip at their origin and the blade along +Y
+
+export function createKatana() {
+    const katanaGroup = new THREE.Group();
+
+    // Blade
+    const blade = new THREE.Mesh(
+        new THREE.BoxGeometry(0.05, 1, 0.1),
+        new THREE.MeshPhongMaterial({ color: 0xCCCCCC })
+    );
+    blade.position.y = 0.5; // Position relative to handle
+    blade.castShadow = true;
+
+    // Handle
+    const handle = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.03, 0.03, 0.3, 8),
+        new THREE.MeshPhongMaterial({ color: 0x4A4A4A })
+    );
+    handle.position.y = 0; // At the base, this is our pivot point
+    handle.castShadow = true;
+
+    // Guard
+    const guard = new THREE.Mesh(
+        new THREE.BoxGeometry(0.2, 0.05, 0.05),
+        new THREE.MeshPhongMaterial({ color: 0x8B4513 })
+    );
+    guard.position.y = 0.15; // Just above handle
+    guard.castShadow = true;
+
+    katanaGroup.add(blade, handle, guard);
+    return katanaGroup;
+}
+
+export function createGreatsword() {
+    const group = new THREE.Group();
+
+    const blade = new THREE.Mesh(
+        new THREE.BoxGeometry(0.08, 1.4, 0.22),
+        new THREE.MeshPhongMaterial({ color: 0xB0B4B8 })
+    );
+    blade.position.y = 0.95;
+    blade.castShadow = true;
+
+    const handle = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.035, 0.035, 0.45, 8),
+        new THREE.MeshPhongMaterial({ color: 0x3B2A1A })
+    );
+    handle.position.y = 0.05;
+    handle.castShadow = true;
+
+    const guard = new THREE.Mesh(
+        new THREE.BoxGeometry(0.45, 0.06, 0.08),
+        new THREE.MeshPhongMaterial({ color: 0x6B6B6B })
+    );
+    guard.position.y = 0.25;
+    guard.castShadow = true;
+
+    group.add(blade, handle, guard);
+    return group;
+}
+
+export function createSpear() {
+    const group = new THREE.Group();
+
+    const shaft = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.025, 0.03, 2, 8),
+        new THREE.MeshPhongMaterial({ color: 0x7A5230 })
+    );
+    shaft.position.y = 0.5;
+    shaft.castShadow = true;
+
+    const head = new THREE.Mesh(
+        new THREE.ConeGeometry(0.06, 0.3, 8),
+        new THREE.MeshPhongMaterial({ color: 0xCCCCCC })
+    );
+    head.position.y = 1.65;
+    head.castShadow = true;
+
+    group.add(shaft, head);
+    return group;
+}
+
+// Every weapon the player can wield:
+//   createMesh:    builds the weapon's mesh
+//   grip, holster: { position, rotation, scale } in the hand and back sockets
+//   ready:         rotation in the hand that every swing starts from
+//   hitbox:        { base, tip, radius } - the segment along the mesh's Y axis swept for hits
+//   drawTime:      seconds to draw or sheathe
+//   stamina:       cost of a light and a heavy (or aerial) attack
+//   combo:         light attacks in order; heavy on the ground, aerial in the air
+//   attacks:       { duration, damage, momentum, lift?, swing, start, end } where swing is the
+//                  weapon's rotation at the end of the attack and start/end are upper-body poses
+export const WeaponRegistry = {
+    katana: {
+        name: 'Katana',
+        createMesh: createKatana,
+        grip: { position: [0, 0, 0], rotation: [0, Math.PI * 0.5, 0], scale: 0.8 },
+        holster: { position: [0, 0, 0], rotation: [0, 0, Math.PI * 0.75], scale: 0.8 },
+        ready: [0, 0, Math.PI / 4],
+        hitbox: { base: 0.15, tip: 1, radius: 0.1 },
+        drawTime: 0.25,
+        stamina: { light: 8, heavy: 16 },
+        combo: ['light1', 'light2', 'light3'],
+        heavy: 'heavy',
+        aerial: 'aerial',
+        attacks: {
+            light1: {                   // Horizontal slash
+                duration: 0.15, damage: 10, momentum: 0.5,
+                swing: [0, Math.PI * 1.5, Math.PI / 3],
+                start: { rightArm: { x: -0.5, z: -0.3 }, torso: { y: 0.3 } },
+                end: { rightArm: { x: -0.5, z: -0.3 }, torso: { y: -0.3 } }
+            },
+            light2: {                   // Diagonal upward slash
+                duration: 0.15, damage: 15, momentum: 0.6,
+                swing: [-Math.PI / 3, Math.PI, Math.PI / 2],
+                start: { rightArm: { x: -0.6 }, torso: { x: 0.1 } },
+                end: { rightArm: { x: -1 }, torso: { x: -0.1 } }
+            },
+            light3: {                   // Spinning slash
+                duration: 0.2, damage: 20, momentum: 0.75,
+                swing: [0, Math.PI * 3, Math.PI / 4],
+                start: { rightArm: { x: -0.8, z: 0.3 }, torso: { y: -0.4 } },
+                end: { rightArm: { x: -0.8, z: 0.3 }, torso: { y: 0.4 } }
+            },
+            heavy: {                    // Wide spinning slash
+                duration: 0.3, damage: 30, momentum: 1,
+                swing: [Math.PI / 4, Math.PI * 3, Math.PI / 2],
+                start: { rightArm: { x: -1.2, z: -0.5 }, torso: { x: 0.2, y: 0.5 } },
+                end: { rightArm: { x: -1.2, z: -0.5 }, torso: { x: 0.2, y: -0.5 } }
+            },
+            aerial: {                   // Overhead spinning slash
+                duration: 0.2, damage: 25, momentum: 0.75, lift: 0.15,
+                swing: [-Math.PI / 2, Math.PI * 2, Math.PI / 3],
+                start: { rightArm: { x: -1.5 }, torso: { x: -0.2 } },
+                end: { rightArm: { x: -1.5 }, torso: { x: 0.3 } }
+            }
+        }
+    },
+
+    // Slow, wide and hard hitting, with a short two-hit chain
+    greatsword: {
+        name: 'Greatsword',
+        createMesh: createGreatsword,
+        grip: { position: [0, 0, 0], rotation: [0, Math.PI * 0.5, 0], scale: 0.8 },
+        holster: { position: [0, -0.1, 0], rotation: [0, 0, Math.PI * 0.75], scale: 0.8 },
+        ready: [0, 0, Math.PI / 4],
+        hitbox: { base: 0.3, tip: 1.65, radius: 0.15 },
+        drawTime: 0.45,
+        stamina: { light: 14, heavy: 26 },
+        combo: ['cleave', 'sweep'],
+        heavy: 'slam',
+        aerial: 'plunge',
+        attacks: {
+            cleave: {                   // Diagonal cleave
+                duration: 0.35, damage: 25, momentum: 0.4,
+                swing: [-Math.PI / 3, Math.PI * 1.5, Math.PI / 2],
+                start: { rightArm: { x: -1.6, z: -0.2 }, torso: { x: -0.1, y: 0.4 } },
+                end: { rightArm: { x: -0.4, z: -0.2 }, torso: { x: 0.3, y: -0.3 } }
+            },
+            sweep: {                    // Wide horizontal sweep
+                duration: 0.4, damage: 30, momentum: 0.5,
+                swing: [0, Math.PI * 2.5, Math.PI / 3],
+                start: { rightArm: { x: -0.7, z: -0.5 }, torso: { y: 0.6 } },
+                end: { rightArm: { x: -0.7, z: -0.5 }, torso: { y: -0.6 } }
+            },
+            slam: {                     // Overhead slam
+                duration: 0.5, damage: 45, momentum: 0.6,
+                swing: [Math.PI / 2, Math.PI * 2, Math.PI / 2],
+                start: { rightArm: { x: -2.4 }, torso: { x: -0.3 } },
+                end: { rightArm: { x: -0.6 }, torso: { x: 0.5 } }
+            },
+            plunge: {                   // Falling downward stab
+                duration: 0.35, damage: 35, momentum: 0.4, lift: 0.05,
+                swing: [Math.PI, Math.PI, Math.PI / 4],
+                start: { rightArm: { x: -2 }, torso: { x: -0.2 } },
+                end: { rightArm: { x: -0.8 }, torso: { x: 0.4 } }
+            }
+        }
+    },
+
+    // Long reach, quick thrusts
+    spear: {
+        name: 'Spear',
+        createMesh: createSpear,
+        grip: { position: [0, -0.3, 0], rotation: [0, Math.PI * 0.5, 0], scale: 1 },
+        holster: { position: [0, 0, 0], rotation: [0, 0, Math.PI * 0.75], scale: 1 },
+        ready: [Math.PI / 2, 0, 0],
+        hitbox: { base: 1, tip: 1.8, radius: 0.12 },
+        drawTime: 0.3,
+        stamina: { light: 6, heavy: 14 },
+        combo: ['thrust', 'thrust2', 'twirl'],
+        heavy: 'lunge',
+        aerial: 'dive',
+        attacks: {
+            thrust: {                   // Quick forward jab
+                duration: 0.12, damage: 8, momentum: 0.6,
+                swing: [Math.PI / 2, 0, 0],
+                start: { rightArm: { x: -0.3 }, torso: { y: 0.2 } },
+                end: { rightArm: { x: -1.4 }, torso: { y: -0.1 } }
+            },
+            thrust2: {
+                duration: 0.12, damage: 10, momentum: 0.7,
+                swing: [Math.PI / 2, 0, 0],
+                start: { rightArm: { x: -0.3 }, torso: { y: 0.2 } },
+                end: { rightArm: { x: -1.4 }, torso: { y: -0.1 } }
+            },
+            twirl: {                    // Spinning shaft sweep
+                duration: 0.3, damage: 18, momentum: 0.5,
+                swing: [Math.PI / 2, Math.PI * 2, 0],
+                start: { rightArm: { x: -0.9, z: 0.3 }, torso: { y: -0.5 } },
+                end: { rightArm: { x: -0.9, z: 0.3 }, torso: { y: 0.5 } }
+            },
+            lunge: {                    // Long stepping thrust
+                duration: 0.3, damage: 28, momentum: 1.4,
+                swing: [Math.PI / 2, 0, 0],
+                start: { rightArm: { x: -0.2 }, torso: { x: -0.1 } },
+                end: { rightArm: { x: -1.5 }, torso: { x: 0.4 } }
+            },
+            dive: {                     // Downward stab from the air
+                duration: 0.25, damage: 22, momentum: 0.8, lift: 0.1,
+                swing: [Math.PI * 0.8, 0, 0],
+                start: { rightArm: { x: -2 } },
+                end: { rightArm: { x: -0.6 }, torso: { x: 0.4 } }
+            }
+        }
+    }
+};
+
+// Draw and sheathe: the arm reaches over the shoulder to the back socket and returns
+export const WeaponReachPose = { rightArm: { x: -2.6, z: 0.4 }, torso: { y: 0.2 } };
@@ -0,0 +1,148 @@
+import * as THREE from 'three';
+import { CollisionWorld } from './collision.js';
+import { Terrain } from './terrain.js';
+import { Water } from './water.js';
+import { Vegetation } from './vegetation.js';
+import { Props } from './props.js';
+import { WorldGenerator } from './worldGenerator.js';
+import { DayNightCycle } from './dayNight.js';
+import { hashSeed } from './random.js';
+
+// The beach scene: terrain, sea, lighting, sky and trees
+export class World {
+    constructor(scene, { textures = null, seed = 1, dayLength = 600 } = {}) {
+        this.scene = scene;
+        this.textures = textures ?? {}; // { grass, sand, bark } from loadAssets(); none when headless
+        this.seed = hashSeed(seed);     // Same seed, same map
+        this.dayLength = dayLength;     // Real seconds for a full day
+        this.generator = null;
+        this.seaLevel = 0;
+        this.terrain = null;
+        this.water = null;
+        this.vegetation = null;
+        this.props = null;
+        this.sunLight = null;
+        this.ambientLight = null;
+        this.dayNight = null;
+        this.collision = new CollisionWorld();
+
+        this.createBeachEnvironment();
+    }
+
+    createBeachEnvironment() {
+        // Height-mapped beach terrain, blending the grass into sand towards the sea
+        this.terrain = new Terrain({
+            seaLevel: this.seaLevel,
+            seed: this.seed,
+            grassTexture: this.textures.grass ?? null,
+            sandTexture: this.textures.sand ?? null
+        });
+        this.scene.add(this.terrain.mesh);
+        this.generator = new WorldGenerator({ seed: this.seed, terrain: this.terrain });
+
+        // Animated sea
+        this.water = new Water({ seaLevel: this.seaLevel });
+        this.scene.add(this.water.mesh);
+
+        // Add lighting
+        const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+        this.scene.add(ambientLight);
+        this.ambientLight = ambientLight;
+
+        // Sun, moved around the player by the day/night cycle
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 1.0);
+        directionalLight.position.set(50, 100, 50);
+        directionalLight.castShadow = true;
+        
+        // Adjust shadow properties for better quality
+        directionalLight.shadow.mapSize.width = 4096;  // Increased resolution
+        directionalLight.shadow.mapSize.height = 4096;  // Increased resolution
+        directionalLight.shadow.camera.near = 0.5;
+        directionalLight.shadow.camera.far = 500;
+        directionalLight.shadow.camera.left = -50;     // Reduced shadow camera size
+        directionalLight.shadow.camera.right = 50;     // for sharper shadows
+        directionalLight.shadow.camera.top = 50;
+        directionalLight.shadow.camera.bottom = -50;
+        directionalLight.shadow.bias = -0.001;         // Reduce shadow acne
+        directionalLight.shadow.normalBias = 0.05;     // Improve contact shadows
+        directionalLight.shadow.radius = 1.5;          // Soften shadow edges
+        
+        this.scene.add(directionalLight);
+        this.sunLight = directionalLight;
+
+        // Time of day, sky and fog
+        this.dayNight = new DayNightCycle(this.scene, {
+            sunLight: directionalLight,
+            ambientLight,
+            dayLength: this.dayLength
+        });
+
+        // Add trees, then rocks and crates in the gaps between them
+        const trees = this.addTrees();
+        this.addProps(trees);
+    }
+
+    // Animate the sea and advance the time of day
+    update(elapsedTime, deltaTime) {
+        this.water.update(elapsedTime);
+        this.dayNight.update(deltaTime);
+    }
+
+    // Place the seeded tree layout from the world generator, drawn as instanced batches
+    addTrees() {
+        const trees = this.generator.generateTrees();
+        this.vegetation = new Vegetation(trees, { barkTexture: this.textures.bark ?? null });
+        this.scene.add(this.vegetation.group);
+
+        // Collide with the base of each trunk
+        for (const tree of trees) {
+            this.collision.addCylinder(tree.x, tree.z, 0.3, tree.y, tree.y + 4 * tree.scale, tree);
+        }
+        return trees;
+    }
+
+    // Place the seeded rocks and crates, each a box collider to climb and wall-run on
+    addProps(trees) {
+        const props = this.generator.generateProps(trees);
+        this.props = new Props(props);
+        this.scene.add(this.props.group);
+
+        for (const prop of props) {
+            this.collision.addBox(prop.x, prop.z, prop.width / 2, prop.depth / 2, prop.y, prop.y + prop.height, prop.yaw, prop);
+        }
+    }
+
+    // Shadow map resolution; 0 turns the sun's shadows off
+    setShadowMapSize(size) {
+        const light = this.sunLight;
+        light.castShadow = size > 0;
+        if (size > 0 && size !== light.shadow.mapSize.width) {
+            light.shadow.mapSize.set(size, size);
+            // The renderer allocates a new map at the new size
+            light.shadow.map?.dispose();
+            light.shadow.map = null;
+        }
+    }
+
+    // Share of the distant trees drawn, 0-1. Only thins what's drawn: the layout and
+    // its colliders are the same on every graphics preset.
+    setTreeDensity(density) {
+        this.vegetation.setDensity(density);
+    }
+
+    // How far away trees are drawn, with the low detail band and fog scaled to match
+    setDrawDistance(distance) {
+        this.vegetation.cullDistance = distance;
+        this.vegetation.lodDistance = distance * 0.375;
+        this.scene.fog.near = distance * 0.4;
+        this.scene.fog.far = distance;
+    }
+
+    // The drawn waves, level of detail and culling for what the camera can see, and
+    // the sky and shadows around focus (the player)
+    updateView(camera, focus = camera.position) {
+        this.water.updateView();
+        this.vegetation.update(camera);
+        this.dayNight.updateView(camera, focus);
+    }
+}
@@ -0,0 +1,237 @@
+import * as THREE from 'three';
+import { Random } from './random.js';
+
+// Where vegetation may grow, per biome
+export const BiomeRules = {
+    sea: { clusters: false, treeDensity: 0 },
+    beach: { clusters: false, treeDensity: 0.01 },     // The odd lone palm on the sand
+    grassland: { clusters: true, treeDensity: 0.03 },
+    hills: { clusters: true, treeDensity: 0.02 }
+};
+
+// Rocks and crates, the solid boxes to climb, wall-run along and hide behind.
+//   biomes:  where they're found
+//   spacing: minimum distance between two of a kind
+//   chance:  of one on each free spot
+//   width, depth, height: [min, max] size of the box
+//   stack:   chance of a second one on top
+export const PropRules = {
+    // Knee-high boulders to hop onto
+    boulder: { biomes: ['grassland', 'hills', 'beach'], spacing: 14, chance: 0.35, width: [1.2, 2.2], depth: [1.2, 2.2], height: [0.6, 1.2] },
+    // Big rocks with ledges in reach of a jump and sides long enough to run along
+    rock: { biomes: ['grassland', 'hills'], spacing: 24, chance: 0.6, width: [3, 5], depth: [2.5, 4], height: [2.2, 3.2] },
+    // Washed-up cargo, sometimes stacked
+    crate: { biomes: ['beach'], spacing: 14, chance: 0.5, width: [1.2, 1.2], depth: [1.2, 1.2], height: [1.2, 1.2], stack: 0.4 }
+};
+
+// Bridson's Poisson-disk sampling: points inside the rectangle that are
+// never closer than radius to each other. accept(x, z) can veto candidates.
+export function poissonDisk({ minX, minZ, width, depth, radius, random, attempts = 30, accept = () => true }) {
+    const cellSize = radius / Math.SQRT2;
+    const columns = Math.ceil(width / cellSize);
+    const rows = Math.ceil(depth / cellSize);
+    const grid = new Int32Array(columns * rows).fill(-1);
+    const points = [];
+    const active = [];
+
+    const cellOf = (x, z) => [
+        Math.floor((x - minX) / cellSize),
+        Math.floor((z - minZ) / cellSize)
+    ];
+
+    const isFarEnough = (x, z) => {
+        const [column, row] = cellOf(x, z);
+        for (let r = Math.max(0, row - 2); r <= Math.min(rows - 1, row + 2); r++) {
+            for (let c = Math.max(0, column - 2); c <= Math.min(columns - 1, column + 2); c++) {
+                const index = grid[r * columns + c];
+                if (index === -1) continue;
+                const dx = points[index].x - x;
+                const dz = points[index].z - z;
+                if (dx * dx + dz * dz < radius * radius) return false;
+            }
+        }
+        return true;
+    };
+
+    const add = (x, z) => {
+        const [column, row] = cellOf(x, z);
+        grid[row * columns + column] = points.length;
+        points.push({ x, z });
+        active.push(points.length - 1);
+    };
+
+    // Every sample, accepted or not, spreads the search so vetoed areas don't stop it
+    add(minX + random.next() * width, minZ + random.next() * depth);
+
+    while (active.length > 0) {
+        const activeIndex = random.int(0, active.length);
+        const origin = points[active[activeIndex]];
+        let found = false;
+
+        for (let i = 0; i < attempts; i++) {
+            const angle = random.next() * Math.PI * 2;
+            const distance = radius * (1 + random.next());
+            const x = origin.x + Math.cos(angle) * distance;
+            const z = origin.z + Math.sin(angle) * distance;
+            if (x < minX || x >= minX + width || z < minZ || z >= minZ + depth) continue;
+            if (!isFarEnough(x, z)) continue;
+
+            add(x, z);
+            found = true;
+            break;
+        }
+
+        if (!found) {
+            active.splice(activeIndex, 1);
+        }
+    }
+
+    return points.filter(point => accept(point.x, point.z));
+}
+
+// Seeded placement of everything procedural in the world.
+// The same seed and terrain always produce the same map.
+export class WorldGenerator {
+    constructor({ seed = 1, terrain, spawnPoint = new THREE.Vector3() }) {
+        this.random = new Random(seed);
+        this.terrain = terrain;
+        this.spawnPoint = spawnPoint;
+
+        // Tree layout
+        this.treeSpacing = 3;           // Minimum distance between trunks
+        this.spawnClearance = 8;        // Keep trees this far from the spawn point
+        this.clusterSpacing = 25;       // Minimum distance between cluster centers
+        this.clusterRadius = 10;        // Radius of a tree cluster
+        this.clusterDensity = 0.5;      // Chance of a tree on each free spot at a cluster's center
+        this.maxClusters = 15;
+        this.maxSlope = 0.35;           // Sine of the steepest slope trees grow on
+    }
+
+    getBiome(x, z) {
+        const height = this.terrain.getHeight(x, z);
+        if (height < this.terrain.seaLevel + 0.3) return 'sea';
+        if (this.terrain.getSandBlend(x, z, height) > 0.5) return 'beach';
+        if (height > this.terrain.seaLevel + 3) return 'hills';
+        return 'grassland';
+    }
+
+    isNearSpawn(x, z, clearance) {
+        return Math.hypot(x - this.spawnPoint.x, z - this.spawnPoint.z) < clearance;
+    }
+
+    isTooSteep(x, z) {
+        const normal = this.terrain.getNormal(x, z);
+        return Math.hypot(normal.x, normal.z) > this.maxSlope;
+    }
+
+    // Centers of tree clusters, only in biomes that allow them
+    generateClusterCenters(random) {
+        const half = this.terrain.size / 2;
+        const centers = poissonDisk({
+            minX: -half,
+            minZ: -half,
+            width: this.terrain.size,
+            depth: this.terrain.size,
+            radius: this.clusterSpacing,
+            random,
+            accept: (x, z) => BiomeRules[this.getBiome(x, z)].clusters &&
+                !this.isNearSpawn(x, z, this.spawnClearance + this.clusterRadius)
+        });
+        return centers.slice(0, this.maxClusters);
+    }
+
+    // Tree placements: { x, y, z, scale, rotation, tint }
+    generateTrees() {
+        const random = this.random.fork('trees');
+        const clusters = this.generateClusterCenters(random);
+        const half = this.terrain.size / 2;
+
+        // How strongly a point belongs to a cluster (1 at the center, 0 outside)
+        const clusterWeight = (x, z) => {
+            let weight = 0;
+            for (const center of clusters) {
+                const distance = Math.hypot(x - center.x, z - center.z);
+                weight = Math.max(weight, 1 - THREE.MathUtils.smoothstep(distance, this.clusterRadius * 0.4, this.clusterRadius));
+            }
+            return weight;
+        };
+
+        // Evenly spaced candidate spots, thinned out by biome and cluster density
+        const spots = poissonDisk({
+            minX: -half,
+            minZ: -half,
+            width: this.terrain.size,
+            depth: this.terrain.size,
+            radius: this.treeSpacing,
+            random,
+            accept: (x, z) => {
+                if (this.isNearSpawn(x, z, this.spawnClearance) || this.isTooSteep(x, z)) return false;
+
+                const rule = BiomeRules[this.getBiome(x, z)];
+                if (rule.treeDensity === 0) return false;
+
+                const density = rule.treeDensity + (rule.clusters ? clusterWeight(x, z) * this.clusterDensity : 0);
+                return random.next() < density;
+            }
+        });
+
+        return spots.map(({ x, z }) => ({
+            x,
+            y: this.terrain.getHeight(x, z),
+            z,
+            scale: random.range(0.7, 1.0),
+            rotation: random.next() * Math.PI * 2,
+            tint: random.range(0.85, 1.15)
+        }));
+    }
+
+    // Rock and crate placements: { kind, x, y, z, width, depth, height, yaw, tint },
+    // y being the bottom of the box. Kept clear of the spawn point, the trees and
+    // each other.
+    generateProps(trees = []) {
+        const random = this.random.fork('props');
+        const half = this.terrain.size / 2;
+        const props = [];
+
+        const isClear = (x, z, radius) => !this.isNearSpawn(x, z, this.spawnClearance + radius) &&
+            trees.every(tree => Math.hypot(tree.x - x, tree.z - z) > radius + 1) &&
+            props.every(prop => Math.hypot(prop.x - x, prop.z - z) > radius + Math.hypot(prop.width, prop.depth) / 2 + 1);
+
+        for (const [kind, rule] of Object.entries(PropRules)) {
+            const spots = poissonDisk({
+                minX: -half,
+                minZ: -half,
+                width: this.terrain.size,
+                depth: this.terrain.size,
+                radius: rule.spacing,
+                random,
+                accept: (x, z) => rule.biomes.includes(this.getBiome(x, z)) && !this.isTooSteep(x, z) &&
+                    random.next() < rule.chance
+            });
+
+            for (const { x, z } of spots) {
+                const width = random.range(...rule.width);
+                const depth = random.range(...rule.depth);
+                const height = random.range(...rule.height);
+                const yaw = random.next() * Math.PI * 2;
+                const tint = random.range(0.85, 1.15);
+                const stacked = random.next() < (rule.stack ?? 0);
+                if (!isClear(x, z, Math.hypot(width, depth) / 2)) continue;
+
+                // Sunk to the lowest corner so no side floats on a slope
+                let y = Infinity;
+                for (const [cx, cz] of [[-1, -1], [1, -1], [-1, 1], [1, 1]]) {
+                    y = Math.min(y, this.terrain.getHeight(x + cx * width / 2, z + cz * depth / 2));
+                }
+                y -= 0.1;
+
+                const prop = { kind, x, y, z, width, depth, height, yaw, tint };
+                props.push(prop);
+                if (stacked) {
+                    props.push({ ...prop, y: y + height, yaw: yaw + 0.3, tint: tint * 0.95 });
+                }
+            }
+        }
+        return props;
+    }
+}
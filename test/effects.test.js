@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Simulation } from '../src/simulation.js';
+import { Effects } from '../src/effects.js';
+import { ParticleSystem } from '../src/particles.js';
+
+test('dash afterimages copy the body, not the weapon, even while blinking', () => {
+    const sim = new Simulation({ seed: 7 });
+    const effects = new Effects(new THREE.Scene());
+    effects.connect(sim);
+    sim.combat.toggleDrawn();
+    for (let i = 0; i < 60; i++) sim.step();
+
+    const body = sim.rig.getBodyMeshes();
+    assert.ok(body.length > 0);
+    assert.ok(!body.some(mesh => mesh === sim.combat.weaponMesh || mesh.parent === sim.rig.handSocket));
+
+    sim.character.visible = false;
+    effects.spawnAfterimages('dashAfterimage', sim.rig, sim.character.position.clone().setX(2));
+    for (const ghost of effects.afterimages.active) {
+        assert.equal(ghost.group.children.length, body.length);
+    }
+});
+
+test('particles upload only the slots written since the last update', () => {
+    const system = new ParticleSystem({ capacity: 8 });
+    const spawn = () => system.spawn(new THREE.Vector3(), new THREE.Vector3(0, 1, 0), {
+        lifetime: 1,
+        size: 0.1,
+        color: new THREE.Color()
+    });
+    const ranges = () => system.attributes.lifetime.updateRanges.map(({ start, count }) => [start, count]);
+
+    for (let i = 0; i < 6; i++) spawn();
+    system.update(0.1);
+    assert.deepEqual(ranges(), [[0, 6]]);
+    system.attributes.lifetime.clearUpdateRanges();
+
+    // Wraps round the ring
+    for (let i = 0; i < 4; i++) spawn();
+    system.update(0.1);
+    assert.deepEqual(ranges(), [[6, 2], [0, 2]]);
+    assert.ok(system.points.visible);
+
+    system.update(1);
+    assert.equal(system.points.visible, false);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { getWishDirection, getYaw, getDirectionFromYaw, MovementIntent } from '../src/movementIntent.js';
+
+function assertDirection(actual, [x, y, z], message) {
+    assert.ok(
+        Math.abs(actual.x - x) < 1e-9 && Math.abs(actual.y - y) < 1e-9 && Math.abs(actual.z - z) < 1e-9,
+        `${message}: expected ${[x, y, z]}, got ${actual.toArray()}`
+    );
+}
+
+const Input = {
+    forward: new THREE.Vector2(0, 1),
+    back: new THREE.Vector2(0, -1),
+    right: new THREE.Vector2(1, 0),
+    left: new THREE.Vector2(-1, 0)
+};
+
+test('input maps relative to the camera yaw', () => {
+    const s = Math.SQRT1_2;
+    const cases = [
+        // Camera looking down +Z: forward is +Z, right is -X
+        [0, 'forward', [0, 0, 1]],
+        [0, 'back', [0, 0, -1]],
+        [0, 'right', [-1, 0, 0]],
+        [0, 'left', [1, 0, 0]],
+        // Looking down +X
+        [Math.PI / 2, 'forward', [1, 0, 0]],
+        [Math.PI / 2, 'right', [0, 0, 1]],
+        // Looking down -Z, the default view of the character
+        [Math.PI, 'forward', [0, 0, -1]],
+        [Math.PI, 'right', [1, 0, 0]],
+        // Looking down -X
+        [-Math.PI / 2, 'forward', [-1, 0, 0]],
+        [-Math.PI / 2, 'left', [0, 0, 1]],
+        // Diagonal view
+        [Math.PI / 4, 'forward', [s, 0, s]],
+        [Math.PI / 4, 'right', [-s, 0, s]]
+    ];
+    for (const [yaw, input, expected] of cases) {
+        assertDirection(getWishDirection(yaw, Input[input]), expected, `yaw ${yaw.toFixed(2)}, ${input}`);
+    }
+});
+
+test('diagonal input is unit length', () => {
+    for (const yaw of [0, 0.3, 1, Math.PI, -2]) {
+        const direction = getWishDirection(yaw, new THREE.Vector2(1, 1));
+        assert.ok(Math.abs(direction.length() - 1) < 1e-9);
+        assert.equal(direction.y, 0);
+    }
+});
+
+test('no input gives a zero direction', () => {
+    assertDirection(getWishDirection(1.2, new THREE.Vector2()), [0, 0, 0], 'idle');
+});
+
+test('forward input points along the camera yaw', () => {
+    for (const yaw of [-3, -1.5, 0, 0.7, 2.5]) {
+        const direction = getWishDirection(yaw, Input.forward);
+        assert.ok(Math.abs(getYaw(direction) - yaw) < 1e-9);
+        assertDirection(getDirectionFromYaw(yaw), direction.toArray(), `yaw ${yaw}`);
+    }
+});
+
+test('MovementIntent follows the camera and falls back to facing', () => {
+    const camera = new THREE.PerspectiveCamera();
+    camera.lookAt(1, 0, 0);     // Looking down +X
+    camera.updateMatrixWorld();
+
+    const intent = new MovementIntent();
+    intent.update(camera, new THREE.Vector2(0, 0.5));
+    assert.equal(intent.strength, 0.5);
+    assert.ok(intent.hasInput);
+    assertDirection(intent.direction, [1, 0, 0], 'half-tilted forward');
+
+    intent.clear();
+    assert.ok(!intent.hasInput);
+    assertDirection(intent.getDirection(Math.PI), [0, 0, -1], 'facing fallback');
+});
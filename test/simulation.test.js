@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import * as THREE from 'three';
+import assert from 'node:assert/strict';
+import { Simulation } from '../src/simulation.js';
+
+// Scripted input: the step each action happens on
+const InputScript = [
+    [10, sim => sim.player.moveInput.set(0, 1)],
+    [40, sim => { sim.player.keys.shift = true; }],
+    [70, sim => sim.player.jump()],
+    [76, sim => sim.player.releaseJump()],
+    [120, sim => sim.player.moveInput.set(1, 0.5)],
+    [150, sim => sim.player.performDash()],
+    [200, sim => sim.combat.performAttack('light')],
+    [230, sim => sim.player.startSlide()],
+    [260, sim => sim.player.moveInput.set(-1, -1)],
+    [300, sim => sim.combat.performAttack('heavy')],
+    [330, sim => { sim.player.keys.shift = false; }],
+    [360, sim => sim.player.moveInput.set(0, 0)]
+];
+
+function run(seed, steps = 420) {
+    const sim = new Simulation({ seed });
+    const script = new Map(InputScript);
+    for (let i = 0; i < steps; i++) {
+        script.get(i)?.(sim);
+        sim.step();
+    }
+    return sim;
+}
+
+// Everything the steps affect, in a form assert can compare
+function snapshot(sim) {
+    const { player, character, enemyManager } = sim;
+    return {
+        time: sim.elapsedTime,
+        position: character.position.toArray(),
+        rotation: character.rotation.y,
+        velocity: player.velocity.toArray(),
+        momentum: player.momentum.toArray(),
+        health: player.health,
+        stamina: player.stamina,
+        weapon: sim.combat.weaponState,
+        enemies: enemyManager.enemies.map(enemy => ({
+            position: enemy.object.position.toArray(),
+            health: enemy.health,
+            state: enemy.state
+        }))
+    };
+}
+
+test('the same seed and input give the same end state', () => {
+    const first = snapshot(run('determinism'));
+    const second = snapshot(run('determinism'));
+    assert.deepEqual(second, first);
+});
+
+test('the input script moves the character', () => {
+    const sim = run('determinism');
+    const { x, z } = sim.character.position;
+    assert.ok(Math.hypot(x, z) > 1, `character stayed at ${x}, ${z}`);
+});
+
+test('different seeds give different worlds', () => {
+    const first = snapshot(run('one', 1));
+    const second = snapshot(run('two', 1));
+    assert.notDeepEqual(second.enemies, first.enemies);
+});
+
+test('frame rate does not change the outcome', () => {
+    // Same total time, delivered as 30 fps and 144 fps frames
+    const slow = new Simulation({ seed: 7 });
+    const fast = new Simulation({ seed: 7 });
+    slow.player.moveInput.set(0, 1);
+    fast.player.moveInput.set(0, 1);
+    for (let i = 0; i < 60; i++) slow.advance(1 / 30);
+    for (let i = 0; i < 288; i++) fast.advance(1 / 144);
+    // Both have run whole steps only, so compare after the same number of them
+    while (fast.elapsedTime < slow.elapsedTime - 1e-9) fast.step();
+    while (slow.elapsedTime < fast.elapsedTime - 1e-9) slow.step();
+    assert.deepEqual(snapshot(fast), snapshot(slow));
+});
+
+test('tree density thins what is drawn, not the world layout', () => {
+    const full = new Simulation({ seed: 'layout' });
+    const thinned = new Simulation({ seed: 'layout' });
+    thinned.world.setTreeDensity(0.25);
+
+    const layout = sim => Array.from(sim.world.collision.colliders, collider => [collider.x, collider.z]);
+    assert.deepEqual(layout(thinned), layout(full));
+
+    const drawn = sim => sim.world.vegetation.chunks.reduce((sum, chunk) => sum + chunk.levels[1].trunk.count, 0);
+    assert.ok(drawn(thinned) < drawn(full) * 0.5);
+});
+
+test('rocks can be climbed and run along, tree trunks cannot', () => {
+    const sim = new Simulation({ seed: 'beach' });
+    const { player } = sim;
+    const colliders = Array.from(sim.world.collision.colliders);
+
+    // Just outside a collider's side, out being the side's normal
+    const placeBeside = (collider, out, halfWidth, height, facing) => {
+        const position = new THREE.Vector3(collider.x, 0, collider.z).addScaledVector(out, halfWidth + player.collisionRadius + 0.1);
+        position.y = height(position);
+        player.placeAt(position, Math.atan2(facing.x, facing.z));
+        player.isGrounded = false;
+    };
+    const stepUntil = (done) => {
+        for (let i = 0; i < 30 && !done(); i++) sim.step();
+        return done();
+    };
+
+    // Drop past the top facing the side and catch hold
+    const grabs = (collider, out, halfWidth) => {
+        placeBeside(collider, out, halfWidth, () => collider.top - 1.8, out.clone().negate());
+        const grabbed = stepUntil(() => player.isHanging);
+        player.traversal.letGo();
+        return grabbed;
+    };
+    // Jump along the side, low down, and start a wall-run
+    const runs = (collider, out, halfWidth) => {
+        const along = new THREE.Vector3(-out.z, 0, out.x);
+        placeBeside(collider, out, halfWidth, position => Math.max(collider.bottom, sim.world.terrain.getHeight(position.x, position.z)) + 0.8, along);
+        player.moveInput.set(0, 1);
+        player.momentum.copy(along).multiplyScalar(player.maxRunSpeed);
+        const ran = stepUntil(() => player.isWallRunning);
+        player.moveInput.set(0, 0);
+        return ran;
+    };
+
+    const rock = colliders.find(collider => collider.userData?.kind === 'rock');
+    assert.ok(rock, 'no rocks in the world');
+    const { yaw, width } = rock.userData;
+    const rockSide = new THREE.Vector3(Math.cos(yaw), 0, -Math.sin(yaw));
+    assert.ok(grabs(rock, rockSide, width / 2), 'could not grab the rock');
+    assert.ok(runs(rock, rockSide, width / 2), 'could not wall-run on the rock');
+
+    const trunk = colliders.find(collider => collider.type === 'cylinder');
+    assert.equal(runs(trunk, new THREE.Vector3(1, 0, 0), trunk.radius), false, 'wall-ran on a trunk');
+});